@@ -0,0 +1,211 @@
+/**
+ * api.js
+ * JSON calculation API for server.js and server-express.js, using the same
+ * shape registry (src/registry.js) as the browser. Lengths are in cm.
+ *   GET /api/shapes        every shape with its parameters and their ranges
+ *   GET /api/calc/:shape   volume, surface area, derived values, formulas and
+ *                          worked steps for parameters given in the query,
+ *                          e.g. /api/calc/cone?r=3&t=4
+ *   POST /api/results      stores a quiz or challenge answer (results.js)
+ *   GET /api/results       stored answers, ?class=CODE for one class
+ *   GET /api/results/summary   scores per student and per shape
+ *   GET /api/results.csv   stored answers as CSV
+ * The three result reads need the teacher key (MATHSPACE_TEACHER_KEY, or a
+ * PIN made at start and printed by the server) in an X-Teacher-Key header
+ * or ?key=. Only /api/shapes and /api/calc/ are open to other origins.
+ * Handlers return { status, body } (sent as JSON) or { status, text,
+ * contentType, filename } for downloads.
+ */
+
+const crypto = require('crypto');
+const registry = require('./src/registry');
+const i18n = require('./src/i18n');
+const results = require('./results');
+
+const UNIT = 'cm';
+const MAX_BODY = 16 * 1024; // bytes accepted in a POST body
+const TEACHER_KEY = process.env.MATHSPACE_TEACHER_KEY || String(crypto.randomInt(100000, 1000000));
+
+function shapeSchema(type) {
+    const shape = registry.get(type);
+    return {
+        type,
+        name: shape.name,
+        description: shape.desc,
+        variant: shape.variant ? { group: shape.variant.group, label: shape.variant.label } : null,
+        params: Object.entries(shape.params).map(([key, param]) => ({
+            key,
+            label: param.label,
+            symbol: param.symbol || key,
+            min: param.min,
+            max: param.max,
+            step: param.step,
+            default: param.val,
+            integer: !!param.integer,
+            unit: param.unitless ? null : UNIT
+        }))
+    };
+}
+
+function listShapes() {
+    return { status: 200, body: { unit: UNIT, shapes: registry.types().map(shapeSchema) } };
+}
+
+/**
+ * Calculates a shape from query values (strings). Missing, non-numeric and
+ * out-of-range values are a 400 with the registry's validation message.
+ */
+function calculate(type, query) {
+    if (!registry.types().includes(type)) {
+        return { status: 404, body: { error: i18n.t('api.unknownShape', { shape: type }) } };
+    }
+    const shape = registry.get(type);
+    const params = {};
+    Object.keys(shape.params).forEach((key) => {
+        const raw = query[key];
+        params[key] = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+    });
+    const error = registry.validate(type, params, { scale: 1, label: UNIT });
+    if (error) return { status: 400, body: { error } };
+
+    const result = registry.calculate(type, params);
+    const derived = {};
+    Object.entries(shape.derived || {}).forEach(([key, item]) => {
+        derived[key] = { symbol: item.symbol, value: result.derived[key] };
+    });
+    const body = {
+        type,
+        name: shape.name,
+        unit: UNIT,
+        params,
+        volume: result.volume,
+        surfaceArea: result.surfaceArea,
+        derived,
+        formulas: result.formulas,
+        steps: {
+            volume: registry.solutionSteps(type, params, 'volume'),
+            surfaceArea: registry.solutionSteps(type, params, 'surfaceArea')
+        }
+    };
+    // 1 cm³ holds 1 mL
+    if (shape.capacity) body.capacity = { millilitres: result.volume, litres: result.volume / 1000 };
+    return { status: 200, body };
+}
+
+// A malformed escape such as %E0 matches no shape instead of throwing
+function decodePart(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function submitResult(body) {
+    const { result, error } = results.record(body);
+    return error ? { status: 400, body: { error } } : { status: 201, body: { result } };
+}
+
+function isApi(pathname) {
+    return pathname === '/api' || pathname.startsWith('/api/');
+}
+
+// The calculation API may be used from any page; stored answers may not
+function isPublic(pathname) {
+    return pathname === '/api/shapes' || pathname.startsWith('/api/calc/');
+}
+
+function isTeacher(key) {
+    const given = Buffer.from(String(key || ''));
+    const expected = Buffer.from(TEACHER_KEY);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Routes a request. `body` is the parsed JSON of a POST and `key` the teacher
+ * key sent with it. Returns null for paths outside /api/, which the server
+ * serves as static files.
+ */
+function handle(method, pathname, query, body, key) {
+    if (!isApi(pathname)) return null;
+    if (pathname === '/api/results' && method === 'POST') return submitResult(body);
+    if (method !== 'GET') return { status: 405, body: { error: i18n.t('api.method') } };
+    if (pathname === '/api/shapes') return listShapes();
+    if (/^\/api\/results(\/summary|\.csv)?$/.test(pathname) && !isTeacher(key)) {
+        return { status: 401, body: { error: i18n.t('api.teacherKey') } };
+    }
+    if (pathname === '/api/results') return { status: 200, body: { results: results.readAll(query.class) } };
+    if (pathname === '/api/results/summary') return { status: 200, body: results.summary(query.class) };
+    if (pathname === '/api/results.csv') {
+        const file = i18n.t('results.file');
+        const name = query.class ? `${file}-${String(query.class).replace(/[^\w-]/g, '')}` : file;
+        return { status: 200, text: results.toCsv(query.class), contentType: 'text/csv; charset=utf-8', filename: `${name}.csv` };
+    }
+    const match = /^\/api\/calc\/([^/]+)$/.exec(pathname);
+    if (match) return calculate(decodePart(match[1]), query);
+    return { status: 404, body: { error: i18n.t('api.notFound') } };
+}
+
+function send(res, result, pathname) {
+    const headers = isPublic(pathname) ? { 'Access-Control-Allow-Origin': '*' } : {};
+    if (result.text !== undefined) {
+        headers['Content-Type'] = result.contentType;
+        if (result.filename) headers['Content-Disposition'] = `attachment; filename="${result.filename}"`;
+        res.writeHead(result.status, headers);
+        res.end(result.text);
+        return;
+    }
+    headers['Content-Type'] = 'application/json; charset=utf-8';
+    res.writeHead(result.status, headers);
+    res.end(JSON.stringify(result.body, null, 2));
+}
+
+/**
+ * Answers an /api/ request on a Node (or Express) request/response pair,
+ * reading the JSON body of a POST first. Returns false for other paths.
+ */
+function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!isApi(url.pathname)) return false;
+    const query = Object.fromEntries(url.searchParams);
+    if (req.method !== 'POST') {
+        const key = req.headers['x-teacher-key'] || query.key;
+        send(res, handle(req.method, url.pathname, query, null, key), url.pathname);
+        return true;
+    }
+
+    let raw = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+        if (tooLarge) return;
+        raw += chunk;
+        if (raw.length > MAX_BODY) {
+            // Answer at once; the rest of the body is read and dropped
+            tooLarge = true;
+            raw = '';
+            res.setHeader('Connection', 'close');
+            send(res, { status: 413, body: { error: i18n.t('api.tooLarge', { size: MAX_BODY / 1024 }) } }, url.pathname);
+        }
+    });
+    req.on('end', () => {
+        if (tooLarge) return;
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (e) {
+            send(res, { status: 400, body: { error: i18n.t('api.badJson') } }, url.pathname);
+            return;
+        }
+        send(res, handle(req.method, url.pathname, query, body), url.pathname);
+    });
+    return true;
+}
+
+module.exports = {
+    handle,
+    handleRequest,
+    listShapes,
+    calculate,
+    teacherKey: TEACHER_KEY
+};
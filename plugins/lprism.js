@@ -0,0 +1,116 @@
+/**
+ * plugins/lprism.js
+ * Example shape plugin: a prism whose base is an L (two arms of thickness w
+ * in an a × b corner), for project work. Load it after src/registry.js:
+ *   <script src="plugins/lprism.js"></script>
+ * The shape gets its button, inputs, formulas, solid and net from this one
+ * registerShape call.
+ */
+
+(function () {
+    const R = window.ShapeRegistry;
+    const { rectPoints, dimension, RIGHT_ANGLE } = R.helpers;
+
+    // The L, counter-clockwise from the outer corner: a along x, b up y
+    function outline(p) {
+        return [[0, 0], [p.a, 0], [p.a, p.w], [p.w, p.w], [p.w, p.b], [0, p.b]];
+    }
+
+    const baseArea = p => p.w * (p.a + p.b - p.w);
+
+    /**
+     * Net: the side walls as a strip, rolled around the L from the bottom wall
+     * (a × t, on the ground), the last wall on its left, and both L ends on the
+     * bottom wall. The wall after the inner corner turns back (-90°).
+     */
+    function net(p) {
+        const points = outline(p);
+        const lengths = points.map((from, k) => {
+            const to = points[(k + 1) % points.length];
+            return Math.hypot(to[0] - from[0], to[1] - from[1]);
+        });
+        const ha = p.a / 2;
+        const ht = p.t / 2;
+        const faces = [{ points: rectPoints(-ha, -ht, ha, ht) }];
+        let x = ha;
+        [RIGHT_ANGLE, RIGHT_ANGLE, -RIGHT_ANGLE, RIGHT_ANGLE].forEach((angle, k) => {
+            faces.push({
+                points: rectPoints(x, -ht, x + lengths[k + 1], ht),
+                parent: k,
+                hinge: [[x, -ht], [x, ht]],
+                angle
+            });
+            x += lengths[k + 1];
+        });
+        faces.push({
+            points: rectPoints(-ha - p.b, -ht, -ha, ht),
+            parent: 0,
+            hinge: [[-ha, -ht], [-ha, ht]],
+            angle: RIGHT_ANGLE
+        });
+        [-1, 1].forEach((sign) => {
+            const y = sign * ht;
+            faces.push({
+                points: points.map(([px, py]) => [px - ha, y + sign * py]),
+                parent: 0,
+                hinge: [[-ha, y], [ha, y]],
+                angle: RIGHT_ANGLE
+            });
+        });
+        return { faces };
+    }
+
+    R.registerShape({
+        type: 'lPrism',
+        name: 'Prisma L',
+        desc: 'Prisma L adalah prisma yang alasnya berbentuk huruf L: dua lengan setebal w yang bertemu di satu sudut.',
+        color: 0x16a085,
+        params: {
+            a: { label: 'Lebar (a)', min: 2, max: 10, step: 0.1, val: 6 },
+            b: { label: 'Tinggi L (b)', min: 2, max: 10, step: 0.1, val: 5 },
+            w: { label: 'Tebal Lengan (w)', min: 0.5, max: 5, step: 0.1, val: 2 },
+            t: { label: 'Panjang Prisma (t)', min: 2, max: 12, step: 0.1, val: 4 }
+        },
+        derived: {
+            L_alas: {
+                symbol: 'L_{alas}',
+                formula: '{{w}}({{a}} + {{b}} - {{w}})',
+                value: baseArea
+            }
+        },
+        volume: p => baseArea(p) * p.t,
+        surfaceArea: p => 2 * baseArea(p) + 2 * (p.a + p.b) * p.t,
+        formulas: {
+            volume: 'V = {{L_alas}} \\times {{t}}',
+            surfaceArea: 'L = 2 \\times {{L_alas}} + 2({{a}} + {{b}}){{t}}'
+        },
+        // The inner corner makes it non-convex: no cross-sections
+        convex: false,
+        messages: {
+            thickness: 'Tebal lengan (w) harus kurang dari a dan b.'
+        },
+        validate: p => (p.w < p.a && p.w < p.b ? null : R.get('lPrism').messages.thickness),
+        dimensions: (p) => {
+            const z = p.t / 2;
+            return [
+                dimension('a', [-p.a / 2, 0, z], [p.a / 2, 0, z]),
+                dimension('b', [-p.a / 2, 0, z], [-p.a / 2, p.b, z]),
+                dimension('w', [-p.a / 2, p.b, z], [p.w - p.a / 2, p.b, z]),
+                dimension('t', [p.a / 2, 0, -z], [p.a / 2, 0, z])
+            ];
+        },
+        solid: (p) => {
+            const shape = new THREE.Shape(outline(p).map(([x, y]) => new THREE.Vector2(x, y)));
+            return new THREE.ExtrudeGeometry(shape, { depth: p.t, bevelEnabled: false }).translate(-p.a / 2, 0, -p.t / 2);
+        },
+        net,
+        translations: {
+            en: {
+                name: 'L-Shaped Prism',
+                desc: 'An L-shaped prism has an L for its base: two arms of thickness w meeting at a corner.',
+                params: { a: 'Width (a)', b: 'L Height (b)', w: 'Arm Thickness (w)', t: 'Prism Length (t)' },
+                messages: { thickness: 'The arm thickness (w) must be less than a and b.' }
+            }
+        }
+    });
+})();
@@ -0,0 +1,154 @@
+/**
+ * results.js
+ * Classroom results for the Node servers: quiz and challenge answers sent by
+ * the app, stored one JSON object per line in a local file (data/results.jsonl,
+ * or MATHSPACE_RESULTS), summarised per student and per shape for the teacher
+ * dashboard and exported as CSV. Nothing leaves the school network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./src/registry');
+const i18n = require('./src/i18n');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const FILE = path.resolve(process.env.MATHSPACE_RESULTS || path.join(DATA_DIR, 'results.jsonl'));
+const ACTIVITIES = ['quiz', 'challenge'];
+// Longest accepted text per field, in characters
+const LIMITS = { student: 60, classCode: 20, shape: 40, question: 500, answer: 100, expected: 100 };
+const CSV_COLUMNS = ['timestamp', 'classCode', 'student', 'activity', 'shape', 'question', 'answer', 'expected', 'correct'];
+
+function text(value, limit) {
+    if (typeof value === 'number' && isFinite(value)) value = String(value);
+    if (typeof value !== 'string') return '';
+    return value.trim().slice(0, limit);
+}
+
+/**
+ * A stored result from a submission, or { error } when a required field
+ * (student, class code, shape, correctness) is missing.
+ */
+function normalise(submission) {
+    const s = submission && typeof submission === 'object' ? submission : {};
+    const result = {
+        timestamp: new Date().toISOString(),
+        student: text(s.student, LIMITS.student),
+        classCode: text(s.classCode, LIMITS.classCode).toUpperCase(),
+        activity: ACTIVITIES.includes(s.activity) ? s.activity : 'quiz',
+        shape: text(s.shape, LIMITS.shape),
+        question: text(s.question, LIMITS.question),
+        answer: text(s.answer, LIMITS.answer),
+        expected: text(s.expected, LIMITS.expected),
+        correct: s.correct
+    };
+    if (!result.student) return { error: i18n.t('results.student') };
+    if (!result.classCode) return { error: i18n.t('results.classCode') };
+    if (!result.shape) return { error: i18n.t('results.shape') };
+    if (typeof result.correct !== 'boolean') return { error: i18n.t('results.correct') };
+    return { result };
+}
+
+/**
+ * True for the results file and the data/ folder, which lie inside the
+ * folder the servers hand out as static files and must only be read through
+ * the API. Compared case-insensitively, like the Windows file system.
+ */
+function isPrivate(file) {
+    const resolved = path.resolve(file).toLowerCase();
+    const dir = DATA_DIR.toLowerCase();
+    return resolved === FILE.toLowerCase() || resolved === dir || resolved.startsWith(dir + path.sep);
+}
+
+/**
+ * Validates and appends a submission. Returns { result } or { error }.
+ */
+function record(submission) {
+    const { result, error } = normalise(submission);
+    if (error) return { error };
+    fs.mkdirSync(path.dirname(FILE), { recursive: true });
+    fs.appendFileSync(FILE, `${JSON.stringify(result)}\n`);
+    return { result };
+}
+
+/**
+ * Stored results, oldest first, optionally of one class. Lines that do not
+ * parse (e.g. cut off by a power failure) are skipped.
+ */
+function readAll(classCode) {
+    if (!fs.existsSync(FILE)) return [];
+    const wanted = classCode ? String(classCode).trim().toUpperCase() : null;
+    return fs.readFileSync(FILE, 'utf8')
+        .split('\n')
+        .map((line) => {
+            try {
+                return line.trim() ? JSON.parse(line) : null;
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter((r) => r && (!wanted || r.classCode === wanted));
+}
+
+// The net challenge's tetrahedron is not a registry shape
+function shapeName(type) {
+    if (type === 'tetrahedron') return i18n.t('challenge.tetrahedron');
+    const shape = registry.get(type);
+    return shape ? shape.name : type;
+}
+
+// Adds a result to the group for `key`, creating it from `fields` first
+function tally(groups, key, fields, r) {
+    if (!groups[key]) groups[key] = Object.assign({ total: 0, correct: 0, last: null }, fields);
+    const group = groups[key];
+    group.total++;
+    if (r.correct) group.correct++;
+    if (!group.last || r.timestamp > group.last) group.last = r.timestamp;
+}
+
+/**
+ * Scores per student and per shape, and the class codes seen, for the
+ * dashboard. `percent` is rounded to whole numbers.
+ */
+function summary(classCode) {
+    const all = readAll();
+    const results = classCode ? readAll(classCode) : all;
+    const students = {};
+    const shapes = {};
+    results.forEach((r) => {
+        tally(students, `${r.classCode}\n${r.student.toLowerCase()}`, { student: r.student, classCode: r.classCode }, r);
+        tally(shapes, r.shape, { shape: r.shape, name: shapeName(r.shape) }, r);
+    });
+    const withPercent = (group) => Object.assign(group, { percent: Math.round((100 * group.correct) / group.total) });
+    return {
+        classes: Array.from(new Set(all.map(r => r.classCode))).sort(),
+        total: results.length,
+        correct: results.filter(r => r.correct).length,
+        students: Object.values(students).map(withPercent)
+            .sort((a, b) => a.classCode.localeCompare(b.classCode) || a.student.localeCompare(b.student)),
+        shapes: Object.values(shapes).map(withPercent).sort((a, b) => b.total - a.total),
+        recent: results.slice(-20).reverse()
+    };
+}
+
+// Quotes a CSV cell; text a spreadsheet would run as a formula gets a leading '
+function csvCell(value) {
+    let cell = String(value);
+    if (/^[=+\-@]/.test(cell)) cell = `'${cell}`;
+    return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * All results (of one class) as CSV, one row per answer.
+ */
+function toCsv(classCode) {
+    const rows = readAll(classCode).map(r => CSV_COLUMNS.map(column => csvCell(r[column] === undefined ? '' : r[column])));
+    return [CSV_COLUMNS].concat(rows).map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    isPrivate,
+    record,
+    readAll,
+    summary,
+    toCsv
+};
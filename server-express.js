@@ -1,8 +1,35 @@
 const express = require('express');
 const path = require('path');
+const i18n = require('./src/i18n');
+const api = require('./api');
+const results = require('./results');
+const vendor = require('./vendor');
 const app = express();
+
+// Bahasa pesan konsol: MATHSPACE_LANG atau LANG (mis. en_US.UTF-8), bawaan Indonesia
+i18n.setLocale(String(process.env.MATHSPACE_LANG || process.env.LANG || '').slice(0, 2));
 const PORT = 3000;
 
+// API JSON (/api/shapes, /api/calc/:shape, /api/results), sama dengan server.js
+app.use((req, res, next) => {
+    if (!api.handleRequest(req, res)) next();
+});
+
+// Pustaka browser dari node_modules (three.js, MathJax, font Poppins), sama dengan server.js
+vendor.routes().forEach(({ url, dir }) => app.use(url, express.static(dir)));
+
+// Hasil kelas (data/) hanya boleh dibaca lewat API, bukan sebagai file statis
+app.use((req, res, next) => {
+    let file;
+    try {
+        file = path.join(__dirname, decodeURIComponent(req.path));
+    } catch (e) {
+        file = path.join(__dirname, req.path);
+    }
+    if (results.isPrivate(file)) res.status(404).sendFile(path.join(__dirname, '404.html'));
+    else next();
+});
+
 // Sajikan file statis dari direktori saat ini
 app.use(express.static(__dirname));
 
@@ -19,15 +46,18 @@ app.use((req, res) => {
 // Tangani error
 app.use((err, req, res, next) => {
     console.error(err.stack);
-    res.status(500).send('Terjadi kesalahan pada server!');
+    res.status(500).send(i18n.t('server.errorPage'));
 });
 
 // Mulai server
 app.listen(PORT, '0.0.0.0', () => {
     console.log('='.repeat(60));
-    console.log(`🚀 Server Express berjalan di:`);
+    console.log(i18n.t('server.expressRunning'));
     console.log(`   - Local: http://localhost:${PORT}`);
     console.log(`   - Network: http://${require('os').networkInterfaces()['Wi-Fi']?.[1]?.address || 'localhost'}:${PORT}`);
+    console.log(i18n.t('server.api', { port: PORT }));
+    console.log(i18n.t('server.dashboard', { host: 'localhost', port: PORT }));
+    console.log(i18n.t('server.teacherKey', { key: api.teacherKey }));
     console.log('='.repeat(60));
-    console.log('Tekan Ctrl+C untuk menghentikan server');
+    console.log(i18n.t('server.stopHint'));
 });
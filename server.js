@@ -2,6 +2,13 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const i18n = require('./src/i18n');
+const api = require('./api');
+const results = require('./results');
+const vendor = require('./vendor');
+
+// Bahasa pesan konsol: MATHSPACE_LANG atau LANG (mis. en_US.UTF-8), bawaan Indonesia
+i18n.setLocale(String(process.env.MATHSPACE_LANG || process.env.LANG || '').slice(0, 2));
 
 const PORT = 3000;
 const networkInterfaces = os.networkInterfaces();
@@ -17,11 +24,20 @@ Object.keys(networkInterfaces).forEach((ifname) => {
 });
 
 const server = http.createServer((req, res) => {
-    // Parse URL
-    let filePath = '.' + req.url;
+    // JSON API (/api/...)
+    if (api.handleRequest(req, res)) return;
+
+    // Parse URL: pustaka dari node_modules (/vendor/...), selain itu file di folder ini
+    let filePath = vendor.resolve(req.url) || '.' + req.url;
     if (filePath === './') {
         filePath = './index.html';
     }
+    // Hasil kelas (data/) hanya boleh dibaca lewat API
+    if (results.isPrivate(filePath)) {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('404 Not Found', 'utf-8');
+        return;
+    }
 
     // Get file extension and set content type
     const extname = String(path.extname(filePath)).toLowerCase();
@@ -30,6 +46,7 @@ const server = http.createServer((req, res) => {
         '.js': 'text/javascript',
         '.css': 'text/css',
         '.json': 'application/json',
+        '.webmanifest': 'application/manifest+json',
         '.png': 'image/png',
         '.jpg': 'image/jpg',
         '.jpeg': 'image/jpeg',
@@ -38,6 +55,7 @@ const server = http.createServer((req, res) => {
         '.wav': 'audio/wav',
         '.mp4': 'video/mp4',
         '.woff': 'application/font-woff',
+        '.woff2': 'font/woff2',
         '.ttf': 'application/font-ttf',
         '.eot': 'application/vnd.ms-fontobject',
         '.otf': 'application/font-otf',
@@ -71,25 +89,28 @@ const server = http.createServer((req, res) => {
 // Handle server errors
 server.on('error', (e) => {
     if (e.code === 'EADDRINUSE') {
-        console.error(`❌ Port ${PORT} sedang digunakan. Silakan tutup aplikasi lain yang menggunakan port ini atau ganti port di server.js`);
+        console.error(i18n.t('server.portInUse', { port: PORT }));
     } else {
-        console.error('❌ Terjadi kesalahan pada server:', e);
+        console.error(i18n.t('server.error'), e);
     }
     process.exit(1);
 });
 
 // Handle process termination
 process.on('SIGINT', () => {
-    console.log('\nServer dimatikan');
+    console.log(`\n${i18n.t('server.stopped')}`);
     process.exit(0);
 });
 
 // Start the server
 server.listen(PORT, '0.0.0.0', () => {
     console.log('='.repeat(60));
-    console.log(`🚀 Server berjalan di:`);
+    console.log(i18n.t('server.running'));
     console.log(`   - Local: http://localhost:${PORT}`);
     console.log(`   - Network: http://${localIP}:${PORT}`);
+    console.log(i18n.t('server.api', { port: PORT }));
+    console.log(i18n.t('server.dashboard', { host: localIP, port: PORT }));
+    console.log(i18n.t('server.teacherKey', { key: api.teacherKey }));
     console.log('='.repeat(60));
-    console.log('Tekan Ctrl+C untuk menghentikan server');
+    console.log(i18n.t('server.stopHint'));
 });
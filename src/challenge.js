@@ -0,0 +1,340 @@
+/**
+ * src/challenge.js
+ * "Is this a valid net?" challenge: students click unit faces on a grid in the
+ * canvas, then the arrangement is folded along its shared edges to check
+ * whether it closes into the target solid.
+ */
+
+const NetChallenge = (function () {
+    const FACE = 4; // side of a unit face in scene units
+    const FOLD_DURATION = 2000; // ms
+    const EMPTY_COLOR = 0xdddddd;
+    const COLLISION_COLOR = 0xe74c3c;
+
+    let active = false;
+    let target = 'cube';
+    let selected = {}; // cell key -> true
+    let cellMeshes = [];
+    let folded = null; // hinged net while the result is shown
+    let foldAnimation = null;
+    let panel, toggleBtn, targetSelect, checkBtn, clearBtn, messageBox;
+
+    // Square grid, cells keyed "row,col"
+    function squareGrid(rows, cols) {
+        const cells = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const x = (c - cols / 2) * FACE;
+                const y = (r - rows / 2) * FACE;
+                cells.push({ key: `${r},${c}`, points: [[x, y], [x + FACE, y], [x + FACE, y + FACE], [x, y + FACE]] });
+            }
+        }
+        return cells;
+    }
+
+    // Triangle grid: rows of alternating up and down equilateral triangles
+    function triangleGrid(rows, perRow) {
+        const h = (FACE * Math.sqrt(3)) / 2;
+        const cells = [];
+        for (let r = 0; r < rows; r++) {
+            const y = (r - rows / 2) * h;
+            const shift = (r % 2) * (FACE / 2) - (perRow / 4) * FACE;
+            for (let i = 0; i < perRow; i++) {
+                const x = shift + Math.floor(i / 2) * FACE;
+                const points = i % 2 === 0
+                    ? [[x, y], [x + FACE, y], [x + FACE / 2, y + h]]
+                    : [[x + FACE / 2, y + h], [x + FACE * 1.5, y + h], [x + FACE, y]];
+                cells.push({ key: `${r},${i}`, points });
+            }
+        }
+        return cells;
+    }
+
+    const TARGETS = {
+        cube: {
+            name: 'challenge.cube',
+            faceName: 'challenge.cubeFaces',
+            faceCount: 6,
+            color: 0x4a90e2,
+            angle: Math.PI / 2,
+            cells: squareGrid(6, 6)
+        },
+        tetrahedron: {
+            name: 'challenge.tetrahedron',
+            faceName: 'challenge.tetrahedronFaces',
+            faceCount: 4,
+            color: 0xe67e22,
+            // Supplement of the tetrahedron's dihedral angle
+            angle: Math.PI - Math.acos(1 / 3),
+            cells: triangleGrid(4, 8)
+        }
+    };
+
+    // The edge two cells share, or null
+    function sharedEdge(a, b) {
+        const same = (p, q) => Math.abs(p[0] - q[0]) < 1e-6 && Math.abs(p[1] - q[1]) < 1e-6;
+        const common = a.points.filter(p => b.points.some(q => same(p, q)));
+        return common.length === 2 ? common : null;
+    }
+
+    /**
+     * Net layout of the selected cells, hinged along a breadth-first spanning
+     * tree from the first selected cell. Returns null when the cells are not
+     * all joined edge to edge.
+     */
+    function buildLayout() {
+        const config = TARGETS[target];
+        const cells = config.cells.filter(cell => selected[cell.key]);
+        if (!cells.length) return null;
+
+        const faces = [{ points: cells[0].points }];
+        const index = new Map([[cells[0], 0]]);
+        const queue = [cells[0]];
+        while (queue.length) {
+            const cell = queue.shift();
+            cells.forEach(other => {
+                if (index.has(other)) return;
+                const hinge = sharedEdge(cell, other);
+                if (!hinge) return;
+                faces.push({ points: other.points, parent: index.get(cell), hinge, angle: config.angle });
+                index.set(other, faces.length - 1);
+                queue.push(other);
+            });
+        }
+        return faces.length === cells.length ? { faces } : null;
+    }
+
+    // Indices of folded faces that end up on top of another face
+    function findCollisions(net) {
+        net.updateMatrixWorld(true);
+        const centres = net.userData.faces.map(mesh => {
+            const position = mesh.geometry.attributes.position;
+            const centre = new THREE.Vector3();
+            const v = new THREE.Vector3();
+            for (let i = 0; i < position.count; i++) {
+                centre.add(v.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld));
+            }
+            return centre.divideScalar(position.count);
+        });
+        const colliding = new Set();
+        centres.forEach((a, i) => {
+            centres.forEach((b, j) => {
+                if (j > i && a.distanceTo(b) < FACE * 1e-3) {
+                    colliding.add(i);
+                    colliding.add(j);
+                }
+            });
+        });
+        return colliding;
+    }
+
+    // The message shown, kept so a language switch can show it again
+    let message = null;
+
+    /**
+     * Shows the message `key`, filled with the target's name, face name and
+     * face count plus any `vars`.
+     */
+    function showMessage(key, kind, vars) {
+        message = { key, kind, vars };
+        if (!messageBox) return;
+        const config = TARGETS[target];
+        messageBox.textContent = window.I18n.t(key, Object.assign({
+            name: window.I18n.t(config.name),
+            faces: window.I18n.t(config.faceName),
+            count: config.faceCount
+        }, vars));
+        messageBox.className = `challenge-message ${kind || ''}`.trim();
+    }
+
+    function stopFoldAnimation() {
+        if (foldAnimation) {
+            cancelAnimationFrame(foldAnimation);
+            foldAnimation = null;
+        }
+    }
+
+    function renderGrid() {
+        stopFoldAnimation();
+        folded = null;
+        const config = TARGETS[target];
+        const group = new THREE.Group();
+        group.position.y = 0.01;
+        cellMeshes = config.cells.map(cell => {
+            const shape = new THREE.Shape(cell.points.map(([x, y]) => new THREE.Vector2(x, y)));
+            const geometry = new THREE.ShapeGeometry(shape).rotateX(Math.PI / 2);
+            const isSelected = !!selected[cell.key];
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+                color: isSelected ? config.color : EMPTY_COLOR,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: isSelected ? 0.9 : 0.35
+            }));
+            mesh.add(new THREE.LineSegments(
+                new THREE.EdgesGeometry(geometry),
+                new THREE.LineBasicMaterial({ color: isSelected ? 0x000000 : 0x999999 })
+            ));
+            mesh.userData.key = cell.key;
+            group.add(mesh);
+            return mesh;
+        });
+        window.SceneManager.showObject(group);
+    }
+
+    function check() {
+        const config = TARGETS[target];
+        const count = Object.keys(selected).length;
+        if (!count) {
+            showMessage('challenge.empty');
+            return;
+        }
+        const layout = buildLayout();
+        if (!layout) {
+            showMessage('challenge.disconnected', 'wrong');
+            return;
+        }
+
+        folded = window.SceneManager.createNet(layout, config.color);
+        window.SceneManager.showObject(folded);
+        const net = folded;
+        const start = performance.now();
+        const step = (now) => {
+            const k = Math.min(1, (now - start) / FOLD_DURATION);
+            net.userData.setFold(k < 0.5 ? 2 * k * k : 1 - Math.pow(-2 * k + 2, 2) / 2);
+            window.SceneManager.requestRender();
+            if (k < 1) {
+                foldAnimation = requestAnimationFrame(step);
+                return;
+            }
+            foldAnimation = null;
+            const collisions = findCollisions(net);
+            collisions.forEach(i => net.userData.faces[i].material.color.set(COLLISION_COLOR));
+            window.SceneManager.requestRender();
+            if (collisions.size) {
+                showMessage('challenge.overlap', 'wrong');
+            } else if (count < config.faceCount) {
+                showMessage('challenge.notClosed', 'wrong', { have: count });
+            } else {
+                showMessage('challenge.correct', 'correct');
+            }
+            window.Classroom.submit({
+                activity: 'challenge',
+                shape: target,
+                question: window.I18n.t('challenge.title'),
+                answer: String(count),
+                expected: String(config.faceCount),
+                correct: !collisions.size && count >= config.faceCount
+            });
+        };
+        stopFoldAnimation();
+        showMessage('challenge.folding');
+        foldAnimation = requestAnimationFrame(step);
+    }
+
+    // Clicks (not drags) on the canvas toggle a cell, or go back to the grid
+    let pointerStart = null;
+
+    function onPointerDown(e) {
+        pointerStart = { x: e.clientX, y: e.clientY };
+    }
+
+    function onPointerUp(e) {
+        if (!active || !pointerStart) return;
+        const moved = Math.hypot(e.clientX - pointerStart.x, e.clientY - pointerStart.y);
+        pointerStart = null;
+        if (moved > 5) return;
+
+        if (folded) {
+            renderGrid();
+            showMessage('challenge.start');
+            return;
+        }
+        const hit = window.SceneManager.pickObject(e.clientX, e.clientY, cellMeshes);
+        if (!hit) return;
+        if (selected[hit.userData.key]) {
+            delete selected[hit.userData.key];
+        } else {
+            selected[hit.userData.key] = true;
+        }
+        renderGrid();
+    }
+
+    function start() {
+        active = true;
+        if (panel) panel.hidden = false;
+        if (toggleBtn) {
+            window.I18n.setText(toggleBtn, 'challenge.close');
+            toggleBtn.classList.add('active');
+        }
+        renderGrid();
+        showMessage('challenge.start');
+    }
+
+    /**
+     * Leaves the challenge. The caller puts the selected shape back on the canvas.
+     */
+    function stop() {
+        stopFoldAnimation();
+        active = false;
+        folded = null;
+        cellMeshes = [];
+        if (panel) panel.hidden = true;
+        if (toggleBtn) {
+            window.I18n.setText(toggleBtn, 'challenge.open');
+            toggleBtn.classList.remove('active');
+        }
+    }
+
+    function initChallenge() {
+        panel = document.getElementById('challenge-panel');
+        toggleBtn = document.getElementById('challenge-btn');
+        targetSelect = document.getElementById('challenge-target');
+        checkBtn = document.getElementById('challenge-check-btn');
+        clearBtn = document.getElementById('challenge-clear-btn');
+        messageBox = document.getElementById('challenge-message');
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                if (active) {
+                    stop();
+                    window.UIManager.reloadCurrentShape();
+                } else {
+                    start();
+                }
+            });
+        }
+        if (targetSelect) {
+            targetSelect.addEventListener('change', (e) => {
+                target = e.target.value;
+                selected = {};
+                start();
+            });
+        }
+        if (checkBtn) checkBtn.addEventListener('click', () => { if (active) check(); });
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (!active) return;
+                selected = {};
+                start();
+            });
+        }
+
+        const canvas = window.SceneManager.getCanvas();
+        if (canvas) {
+            canvas.addEventListener('pointerdown', onPointerDown);
+            canvas.addEventListener('pointerup', onPointerUp);
+        }
+        window.I18n.onLocaleChange(() => {
+            if (message) showMessage(message.key, message.kind, message.vars);
+        });
+    }
+
+    return {
+        initChallenge,
+        start,
+        stop,
+        isActive: () => active
+    };
+})();
+
+window.NetChallenge = NetChallenge;
@@ -0,0 +1,94 @@
+/**
+ * src/classroom.js
+ * Classroom results: the student's name and class code (remembered in the
+ * browser), and each quiz or challenge answer sent to the class server
+ * (POST /api/results), where the teacher dashboard reads them. Without a
+ * name and class code nothing is sent.
+ */
+
+const Classroom = (function () {
+    const STORAGE_KEY = 'mathspace-classroom'; // localStorage key of { student, classCode }
+
+    let studentInput, classInput, statusBox;
+    let saved = 0; // answers stored this session
+    let status = null; // { key, vars, kind } of the status shown
+
+    function load() {
+        try {
+            return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function store() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(identity()));
+        } catch (e) {
+            // Typed in again next time
+        }
+    }
+
+    function identity() {
+        return {
+            student: studentInput ? studentInput.value.trim() : '',
+            classCode: classInput ? classInput.value.trim().toUpperCase() : ''
+        };
+    }
+
+    function showStatus(key, kind, vars) {
+        status = { key, kind, vars };
+        if (!statusBox) return;
+        statusBox.textContent = window.I18n.t(key, vars);
+        statusBox.className = `classroom-status ${kind || ''}`.trim();
+    }
+
+    /**
+     * Sends one answer: { activity, shape, question, answer, expected, correct }.
+     * Resolves to true when the server stored it.
+     */
+    function submit(entry) {
+        const { student, classCode } = identity();
+        if (!student || !classCode || !window.fetch) return Promise.resolve(false);
+        return window.fetch('/api/results', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({ student, classCode }, entry))
+        })
+            .then(response => response.json().then((body) => {
+                if (!response.ok) {
+                    showStatus('classroom.rejected', 'wrong', { error: body.error });
+                    return false;
+                }
+                saved++;
+                showStatus('classroom.saved', 'correct', { count: saved });
+                return true;
+            }))
+            .catch(() => {
+                showStatus('classroom.failed', 'wrong');
+                return false;
+            });
+    }
+
+    function initClassroom() {
+        studentInput = document.getElementById('classroom-student');
+        classInput = document.getElementById('classroom-class');
+        statusBox = document.getElementById('classroom-status');
+        if (!studentInput || !classInput) return;
+
+        const { student, classCode } = load();
+        studentInput.value = student || '';
+        classInput.value = classCode || '';
+        [studentInput, classInput].forEach(input => input.addEventListener('change', store));
+        window.I18n.onLocaleChange(() => {
+            if (status) showStatus(status.key, status.kind, status.vars);
+        });
+    }
+
+    return {
+        initClassroom,
+        submit
+    };
+})();
+
+window.Classroom = Classroom;
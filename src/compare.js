@@ -0,0 +1,206 @@
+/**
+ * src/compare.js
+ * Compare mode: a second solid with its own dimensions next to the selected
+ * shape, and a table of both volumes and surface areas with their ratio
+ * (e.g. a cone is 1/3 of the cylinder with the same radius and height).
+ */
+
+const CompareMode = (function () {
+    // Second shape offered first for each selected shape
+    const PARTNERS = {
+        cone: 'cylinder',
+        cylinder: 'cone',
+        pyramid: 'cube',
+        cube: 'pyramid',
+        box: 'pyramid',
+        regularPyramid: 'regularPrism',
+        regularPrism: 'regularPyramid',
+        sphere: 'cylinder',
+        hemisphere: 'cylinder',
+        coneFrustum: 'cone',
+        pyramidFrustum: 'pyramid'
+    };
+    const MAX_DENOMINATOR = 12;
+
+    let active = false;
+    let type = null;
+    const paramValues = {}; // per compared shape, lengths in cm like the UI
+    let shownUnit = null;
+    let panel, toggleBtn, shapeSelect, paramsContainer, matchBtn, tableBox;
+
+    function getParams(shape) {
+        if (!paramValues[shape]) paramValues[shape] = window.ShapeRegistry.defaultParams(shape);
+        return paramValues[shape];
+    }
+
+    function toUnit(value, param) {
+        return param.unitless ? value : Number((value * window.UIManager.unitScale()).toPrecision(12));
+    }
+
+    function formatNumber(value) {
+        return window.I18n.formatNumber(value);
+    }
+
+    /**
+     * "1 : 3" when a/b is (nearly) a simple fraction, else "≈ 0.54 : 1".
+     */
+    function ratioText(a, b) {
+        const ratio = a / b;
+        for (let q = 1; q <= MAX_DENOMINATOR; q++) {
+            const p = Math.round(ratio * q);
+            if (p > 0 && Math.abs(ratio - p / q) < 0.001 * ratio) return `${p} : ${q}`;
+        }
+        return `≈ ${formatNumber(ratio)} : 1`;
+    }
+
+    function renderParams() {
+        const config = window.ShapeRegistry.get(type);
+        const values = getParams(type);
+        const unit = window.UIManager.getState().unit;
+        shownUnit = unit;
+        paramsContainer.innerHTML = '';
+        Object.entries(config.params).forEach(([key, param]) => {
+            const div = document.createElement('div');
+            div.className = 'parameter';
+            div.innerHTML = `
+                <label for="compare-param-${key}">${param.unitless ? param.label : window.I18n.t('unit.in', { label: param.label, unit })}</label>
+                <input type="number" id="compare-param-${key}"
+                       min="${toUnit(param.min, param)}" max="${toUnit(param.max, param)}"
+                       step="${toUnit(param.step, param)}" value="${toUnit(values[key], param)}">
+            `;
+            paramsContainer.appendChild(div);
+            div.querySelector('input').addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                values[key] = param.unitless ? value : value / window.UIManager.unitScale();
+                update();
+            });
+        });
+    }
+
+    /**
+     * Redraws the compared solid and the table for the current values.
+     */
+    function update() {
+        if (!active) return;
+        const ui = window.UIManager;
+        const { t } = window.I18n;
+        const main = ui.getState();
+        if (main.unit !== shownUnit) renderParams();
+
+        const config = window.ShapeRegistry.get(type);
+        const params = getParams(type);
+        const shown = {};
+        Object.entries(config.params).forEach(([key, param]) => { shown[key] = toUnit(params[key], param); });
+        const error = window.ShapeRegistry.validate(type, shown, { scale: ui.unitScale(), label: main.unit });
+        if (error || window.ShapeRegistry.validate(main.shape, main.params)) {
+            // An invalid selected shape already shows its message in the formula panel
+            window.SceneManager.setCompareShape(null);
+            tableBox.innerHTML = error ? `<p class="formula-error">${error}</p>` : '';
+            return;
+        }
+        window.SceneManager.setCompareShape(type, params);
+
+        const a = window.ShapeRegistry.calculate(main.shape, main.params);
+        const b = window.ShapeRegistry.calculate(type, params);
+        const row = (label, key, power) => `
+            <tr>
+                <th>${label}</th>
+                <td>${ui.formatMeasure(a[key], power)}</td>
+                <td>${ui.formatMeasure(b[key], power)}</td>
+                <td>${ratioText(a[key], b[key])}</td>
+            </tr>`;
+        tableBox.innerHTML = `
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>${window.ShapeRegistry.get(main.shape).name}</th>
+                        <th>${window.ShapeRegistry.get(type).name}</th>
+                        <th>${t('compare.ratio')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row(t('quantity.volume'), 'volume', 3)}
+                    ${row(t('quantity.surfaceArea'), 'surfaceArea', 2)}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function renderShapeOptions() {
+        shapeSelect.innerHTML = window.ShapeRegistry.types()
+            .map(key => `<option value="${key}">${window.ShapeRegistry.get(key).name}</option>`)
+            .join('');
+        if (type) shapeSelect.value = type;
+    }
+
+    function selectType(shape) {
+        type = shape;
+        shapeSelect.value = shape;
+        renderParams();
+        update();
+    }
+
+    /**
+     * Copies the selected shape's values to the compared shape wherever both
+     * have a parameter of the same name (e.g. r and t of a cone and a cylinder).
+     */
+    function matchParams() {
+        const main = window.UIManager.getState();
+        // A cube's edge is also its height, so a pyramid or cylinder matches it fully
+        const source = main.shape === 'cube' ? { t: main.params.s, ...main.params } : main.params;
+        const config = window.ShapeRegistry.get(type);
+        const values = getParams(type);
+        Object.entries(config.params).forEach(([key, param]) => {
+            if (source[key] === undefined) return;
+            values[key] = Math.min(param.max, Math.max(param.min, source[key]));
+        });
+        renderParams();
+        update();
+    }
+
+    function start() {
+        active = true;
+        panel.hidden = false;
+        window.I18n.setText(toggleBtn, 'compare.close');
+        toggleBtn.classList.add('active');
+        const main = window.UIManager.getState().shape;
+        selectType(type || PARTNERS[main] || 'cube');
+    }
+
+    function stop() {
+        active = false;
+        window.SceneManager.setCompareShape(null);
+        panel.hidden = true;
+        window.I18n.setText(toggleBtn, 'compare.open');
+        toggleBtn.classList.remove('active');
+    }
+
+    function initCompare() {
+        panel = document.getElementById('compare-panel');
+        toggleBtn = document.getElementById('compare-btn');
+        shapeSelect = document.getElementById('compare-shape');
+        paramsContainer = document.getElementById('compare-params');
+        matchBtn = document.getElementById('compare-match-btn');
+        tableBox = document.getElementById('compare-table');
+        if (!panel || !toggleBtn) return;
+
+        renderShapeOptions();
+        toggleBtn.addEventListener('click', () => (active ? stop() : start()));
+        shapeSelect.addEventListener('change', (e) => selectType(e.target.value));
+        matchBtn.addEventListener('click', matchParams);
+        window.UIManager.onChange(update);
+        window.ShapeRegistry.onRegister(renderShapeOptions);
+        // Shape names and labels come from the registry, in the new language
+        window.I18n.onLocaleChange(() => {
+            renderShapeOptions();
+            if (active) renderParams();
+        });
+    }
+
+    return {
+        initCompare
+    };
+})();
+
+window.CompareMode = CompareMode;
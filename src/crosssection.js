@@ -0,0 +1,347 @@
+/**
+ * src/crosssection.js
+ * Cross-sections: a cutting plane that can be dragged up and down (and tilted
+ * with a slider) through the current solid. The slice is highlighted and
+ * named, with its area. The built-in solids are convex, so the slice is the
+ * convex hull of the points where the solid's edges cross the plane. Shapes
+ * registered with `convex: false` (e.g. the L-prism plugin) are not sliced.
+ */
+
+const CrossSection = (function () {
+    const PLANE_COLOR = 0x3498db;
+    const SECTION_COLOR = 0xf1c40f;
+    const EPSILON = 1e-9;
+
+    let active = false;
+    let height = 0; // of the plane's centre above the ground, in cm
+    let tilt = 0; // radians, about the x axis
+    let maxHeight = 1;
+    let overlay = null; // plane + slice, rebuilt on every change
+    let dragging = null; // { y, height, perPixel } while the plane is dragged
+    let panel, toggleBtn, heightSlider, tiltSlider, infoBox;
+    const { t } = window.I18n;
+
+    // Plane through (0, y, 0) tilted by `angle`; u and v span it, n is its normal
+    function planeFrame(y, angle) {
+        return {
+            origin: new THREE.Vector3(0, y, 0),
+            n: new THREE.Vector3(0, Math.cos(angle), Math.sin(angle)),
+            u: new THREE.Vector3(1, 0, 0),
+            v: new THREE.Vector3(0, Math.sin(angle), -Math.cos(angle))
+        };
+    }
+
+    /**
+     * Points (in the plane's u, v coordinates) where the triangles of `geometry`
+     * cross the plane.
+     */
+    function crossingPoints(geometry, frame) {
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const vertex = (i) => new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i);
+        // Vertices exactly on the plane count as above it, so each crossing is seen once
+        const side = (p) => {
+            const d = p.clone().sub(frame.origin).dot(frame.n);
+            return Math.abs(d) < EPSILON ? EPSILON : d;
+        };
+        const points = [];
+        for (let i = 0; i < count; i += 3) {
+            const corners = [vertex(i), vertex(i + 1), vertex(i + 2)];
+            const d = corners.map(side);
+            for (let k = 0; k < 3; k++) {
+                const a = corners[k];
+                const b = corners[(k + 1) % 3];
+                const da = d[k];
+                const db = d[(k + 1) % 3];
+                if ((da > 0) === (db > 0)) continue;
+                const p = a.clone().lerp(b, da / (da - db)).sub(frame.origin);
+                points.push([p.dot(frame.u), p.dot(frame.v)]);
+            }
+        }
+        return points;
+    }
+
+    // Convex hull (monotone chain), counter-clockwise, without collinear points
+    function convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        if (sorted.length < 3) return [];
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const half = (list) => {
+            const hull = [];
+            list.forEach((p) => {
+                while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 1e-9) hull.pop();
+                hull.push(p);
+            });
+            hull.pop();
+            return hull;
+        };
+        return half(sorted).concat(half(sorted.slice().reverse()));
+    }
+
+    function polygonArea(points) {
+        let sum = 0;
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            sum += p[0] * q[1] - q[0] * p[1];
+        });
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * Area, centroid and covariance (second moments about the centroid, per
+     * unit area) of a polygon. A filled ellipse with semi-axes a and b has
+     * covariance diag(a²/4, b²/4), so its area is 4π√det.
+     */
+    function polygonMoments(points) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        let xx = 0;
+        let yy = 0;
+        let xy = 0;
+        points.forEach(([x0, y0], i) => {
+            const [x1, y1] = points[(i + 1) % points.length];
+            const c = x0 * y1 - x1 * y0;
+            area += c / 2;
+            cx += ((x0 + x1) * c) / 6;
+            cy += ((y0 + y1) * c) / 6;
+            xx += ((x0 * x0 + x0 * x1 + x1 * x1) * c) / 12;
+            yy += ((y0 * y0 + y0 * y1 + y1 * y1) * c) / 12;
+            xy += ((x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * c) / 24;
+        });
+        cx /= area;
+        cy /= area;
+        return {
+            area: Math.abs(area),
+            sxx: xx / area - cx * cx,
+            syy: yy / area - cy * cy,
+            sxy: xy / area - cx * cy
+        };
+    }
+
+    // Drops corners where the outline barely turns, e.g. tiny facets from rounding
+    function simplify(points) {
+        const size = Math.sqrt(polygonArea(points));
+        return points.filter((p, i) => {
+            const a = points[(i + points.length - 1) % points.length];
+            const b = points[(i + 1) % points.length];
+            const cross = (p[0] - a[0]) * (b[1] - p[1]) - (p[1] - a[1]) * (b[0] - p[0]);
+            return Math.abs(cross) > 1e-6 * size * size;
+        });
+    }
+
+    /**
+     * Name of the slice: polygons by their corners, and for round solids
+     * (many short sides; a 12-gon prism cut at a slant has at most 14 corners)
+     * circle, ellipse or a cut-off curved shape.
+     */
+    function nameOf(points) {
+        const n = points.length;
+        const sides = points.map((p, i) => Math.hypot(points[(i + 1) % n][0] - p[0], points[(i + 1) % n][1] - p[1]));
+        const same = (a, b) => Math.abs(a - b) < 1e-6 * Math.max(1, a, b);
+
+        if (n > 14) {
+            const { area, sxx, syy, sxy } = polygonMoments(points);
+            const det = sxx * syy - sxy * sxy;
+            // Cut off by a flat face (e.g. half a disc) when it is no ellipse
+            if (Math.abs(area / (4 * Math.PI * Math.sqrt(det)) - 1) > 0.02) {
+                return { name: t('section.curvedCut'), curved: true };
+            }
+            // Equal spread in every direction: the axes' ratio is near 1
+            const mean = (sxx + syy) / 2;
+            const spread = Math.sqrt(Math.max(0, mean * mean - det));
+            return { name: (mean - spread) / (mean + spread) > 0.97 ? t('section.circle') : t('section.ellipse'), curved: true };
+        }
+        if (n === 3) {
+            if (same(sides[0], sides[1]) && same(sides[1], sides[2])) return { name: t('section.equilateral') };
+            if (same(sides[0], sides[1]) || same(sides[1], sides[2]) || same(sides[0], sides[2])) {
+                return { name: t('section.isosceles') };
+            }
+            return { name: t('section.triangle') };
+        }
+        if (n === 4) {
+            const edge = (i) => [points[(i + 1) % 4][0] - points[i][0], points[(i + 1) % 4][1] - points[i][1]];
+            const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+            const parallel = (a, b) => Math.abs(a[0] * b[1] - a[1] * b[0]) < 1e-6 * Math.hypot(...a) * Math.hypot(...b);
+            const pairs = [parallel(edge(0), edge(2)), parallel(edge(1), edge(3))].filter(Boolean).length;
+            const square = Math.abs(dot(edge(0), edge(1))) < 1e-6 * sides[0] * sides[1];
+            const equal = sides.every(s => same(s, sides[0]));
+            if (pairs === 2 && square) return { name: equal ? t('section.square') : t('section.rectangle') };
+            if (pairs === 2) return { name: equal ? t('section.rhombus') : t('section.parallelogram') };
+            return { name: pairs === 1 ? t('section.trapezoid') : t('section.quadrilateral') };
+        }
+        const names = { 5: 'section.pentagon', 6: 'section.hexagon', 7: 'section.heptagon', 8: 'section.octagon' };
+        return { name: t(names[n] || 'section.polygon', { n }) };
+    }
+
+    /**
+     * Outline of the slice of a convex solid's `geometry` at height `y` (plane
+     * tilted by `angle` about the x axis), counter-clockwise in the plane's u, v
+     * coordinates. Empty when the plane misses the solid. A ShapeGeometry of
+     * the outline turned by -90° + angle about x and raised to y lies on the cut.
+     */
+    function slice(geometry, y, angle = 0) {
+        return simplify(convexHull(crossingPoints(geometry, planeFrame(y, angle))));
+    }
+
+    // Plane and slice share the plane's frame: local x = u, local y = v
+    function placeOnPlane(object) {
+        object.position.set(0, height, 0);
+        object.rotation.x = -Math.PI / 2 + tilt;
+        return object;
+    }
+
+    function clearOverlay() {
+        if (overlay) window.SceneManager.removeOverlay(overlay);
+        overlay = null;
+    }
+
+    function showInfo(text) {
+        if (infoBox) infoBox.innerHTML = text;
+    }
+
+    /**
+     * Rebuilds the plane and the slice for the shape on screen.
+     */
+    function update() {
+        clearOverlay();
+        if (!active) return;
+        const state = window.UIManager.getState();
+        if (state.mode !== 'solid' || (window.NetChallenge && window.NetChallenge.isActive())) {
+            showInfo(t('section.solidOnly'));
+            return;
+        }
+        const shape = window.ShapeRegistry.get(state.shape);
+        if (shape.convex === false) {
+            showInfo(t('section.convexOnly'));
+            return;
+        }
+        if (window.ShapeRegistry.validate(state.shape, state.params)) return;
+
+        const geometry = shape.solid(state.params);
+        geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        maxHeight = box.max.y;
+        height = Math.min(height, maxHeight);
+        if (heightSlider) {
+            heightSlider.max = maxHeight;
+            heightSlider.value = height;
+        }
+
+        overlay = new THREE.Group();
+        const size = 2 * Math.max(box.max.x - box.min.x, box.max.y - box.min.y, box.max.z - box.min.z) + 4;
+        const plane = placeOnPlane(new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({ color: PLANE_COLOR, side: THREE.DoubleSide, transparent: true, opacity: 0.2, depthWrite: false })
+        ));
+        plane.userData.cuttingPlane = true;
+        overlay.add(plane);
+
+        const hull = slice(geometry, height, tilt);
+        geometry.dispose();
+        if (hull.length < 3) {
+            showInfo(t('section.miss'));
+        } else {
+            const section = placeOnPlane(new THREE.Mesh(
+                new THREE.ShapeGeometry(new THREE.Shape(hull.map(([x, y]) => new THREE.Vector2(x, y)))),
+                new THREE.MeshBasicMaterial({ color: SECTION_COLOR, side: THREE.DoubleSide, depthTest: false })
+            ));
+            section.renderOrder = 1;
+            section.add(new THREE.LineLoop(
+                new THREE.BufferGeometry().setFromPoints(hull.map(([x, y]) => new THREE.Vector3(x, y, 0))),
+                new THREE.LineBasicMaterial({ color: 0x000000, depthTest: false })
+            ));
+            overlay.add(section);
+
+            const { name, curved } = nameOf(hull);
+            const area = window.UIManager.formatMeasure(polygonArea(hull), 2);
+            showInfo(`<strong>${name}</strong><br>${t('section.area')} ${curved ? '≈' : '='} ${area}`);
+        }
+        window.SceneManager.addOverlay(overlay);
+    }
+
+    // Dragging the plane moves it up and down; the camera holds still meanwhile
+    function onPointerDown(e) {
+        if (!active || !overlay) return;
+        const plane = overlay.children.find(child => child.userData.cuttingPlane);
+        if (!window.SceneManager.pickObject(e.clientX, e.clientY, [plane])) return;
+        const camera = window.SceneManager.getCameraState();
+        const distance = new THREE.Vector3(...camera.position).distanceTo(new THREE.Vector3(...camera.target));
+        const canvas = window.SceneManager.getCanvas();
+        // Scene units per pixel at the orbit target (45° field of view)
+        const perPixel = (2 * distance * Math.tan(Math.PI / 8)) / (canvas.clientHeight || 1);
+        dragging = { y: e.clientY, height, perPixel };
+        window.SceneManager.setControlsEnabled(false);
+    }
+
+    function onPointerMove(e) {
+        if (!dragging) return;
+        setHeight(dragging.height + (dragging.y - e.clientY) * dragging.perPixel);
+    }
+
+    function onPointerUp() {
+        if (!dragging) return;
+        dragging = null;
+        window.SceneManager.setControlsEnabled(true);
+    }
+
+    function setHeight(value) {
+        height = Math.min(maxHeight, Math.max(0, value));
+        update();
+    }
+
+    function start() {
+        active = true;
+        panel.hidden = false;
+        window.I18n.setText(toggleBtn, 'section.close');
+        toggleBtn.classList.add('active');
+        const state = window.UIManager.getState();
+        const geometry = window.ShapeRegistry.get(state.shape).solid(state.params);
+        geometry.computeBoundingBox();
+        height = geometry.boundingBox.max.y / 2;
+        geometry.dispose();
+        update();
+    }
+
+    function stop() {
+        active = false;
+        clearOverlay();
+        panel.hidden = true;
+        window.I18n.setText(toggleBtn, 'section.open');
+        toggleBtn.classList.remove('active');
+    }
+
+    function initCrossSection() {
+        panel = document.getElementById('section-panel');
+        toggleBtn = document.getElementById('section-btn');
+        heightSlider = document.getElementById('section-height');
+        tiltSlider = document.getElementById('section-tilt');
+        infoBox = document.getElementById('section-info');
+        if (!panel || !toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => (active ? stop() : start()));
+        heightSlider.addEventListener('input', (e) => setHeight(parseFloat(e.target.value)));
+        tiltSlider.addEventListener('input', (e) => {
+            tilt = (parseFloat(e.target.value) * Math.PI) / 180;
+            update();
+        });
+        window.UIManager.onChange(update);
+
+        // Capture on the container, so the camera controls never see a plane drag
+        const canvas = window.SceneManager.getCanvas();
+        if (canvas && canvas.parentElement) {
+            canvas.parentElement.addEventListener('pointerdown', onPointerDown, true);
+            window.addEventListener('pointermove', onPointerMove);
+            window.addEventListener('pointerup', onPointerUp);
+        }
+    }
+
+    return {
+        initCrossSection,
+        slice,
+        polygonArea
+    };
+})();
+
+window.CrossSection = CrossSection;
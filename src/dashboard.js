@@ -0,0 +1,193 @@
+/**
+ * src/dashboard.js
+ * Teacher dashboard (dashboard.html): scores per student and per shape and
+ * the latest answers, read from the class server (GET /api/results/summary)
+ * and refreshed every few seconds while students work. The server only
+ * answers with the teacher PIN it prints at start, kept for this tab.
+ */
+
+const Dashboard = (function () {
+    const LANGUAGE_KEY = 'mathspace-language'; // shared with the app (ui.js)
+    const KEY_KEY = 'mathspace-teacher-key';
+    const REFRESH_MS = 10000;
+
+    let classSelect, keyInput, totalBox, csvLink;
+    let data = null; // last summary from the server
+    let problem = null; // 'offline' or 'locked' when there is no summary to show
+
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    // Shape names follow the chosen language; the tetrahedron of the net
+    // challenge is not a registry shape
+    function shapeName(type, fallback) {
+        if (type === 'tetrahedron') return t('challenge.tetrahedron');
+        const shape = window.ShapeRegistry.get(type);
+        return shape ? shape.name : fallback || type;
+    }
+
+    function formatTime(timestamp) {
+        if (!timestamp) return '';
+        const locale = window.I18n.getLocale() === 'en' ? 'en-GB' : 'id-ID';
+        return new Date(timestamp).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    // Student text is only ever set as textContent
+    function row(cells) {
+        const tr = document.createElement('tr');
+        cells.forEach((cell) => {
+            const td = document.createElement('td');
+            const { text, className } = typeof cell === 'object' ? cell : { text: cell };
+            td.textContent = text;
+            if (className) td.className = className;
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    function fillTable(id, rows, columns) {
+        const body = document.getElementById(id);
+        body.textContent = '';
+        if (!rows.length) {
+            const empty = row([t('dashboard.empty')]);
+            empty.firstChild.colSpan = columns;
+            body.appendChild(empty);
+            return;
+        }
+        rows.forEach(r => body.appendChild(r));
+    }
+
+    function scoreCells(group) {
+        return [
+            { text: group.total, className: 'number' },
+            { text: group.correct, className: 'number' },
+            { text: `${group.percent}%`, className: 'number' },
+            formatTime(group.last)
+        ];
+    }
+
+    function renderClasses() {
+        const chosen = classSelect.value;
+        classSelect.textContent = '';
+        [''].concat(data.classes).forEach((code) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = code || t('dashboard.allClasses');
+            classSelect.appendChild(option);
+        });
+        classSelect.value = data.classes.includes(chosen) ? chosen : '';
+    }
+
+    function render() {
+        if (problem || !data) {
+            totalBox.textContent = problem ? t(`dashboard.${problem}`) : '';
+            return;
+        }
+        renderClasses();
+        const percent = data.total ? Math.round((100 * data.correct) / data.total) : 0;
+        totalBox.textContent = data.total ? t('dashboard.total', { total: data.total, percent }) : t('dashboard.empty');
+
+        fillTable('dashboard-students', data.students.map(s => row([s.student, s.classCode].concat(scoreCells(s)))), 6);
+        fillTable('dashboard-shapes', data.shapes.map(s => row([shapeName(s.shape, s.name)].concat(scoreCells(s)))), 5);
+        fillTable('dashboard-recent', data.recent.map(r => row([
+            formatTime(r.timestamp),
+            r.student,
+            r.classCode,
+            t(r.activity === 'challenge' ? 'dashboard.challenge' : 'dashboard.quiz'),
+            shapeName(r.shape),
+            r.answer,
+            { text: t(r.correct ? 'dashboard.yes' : 'dashboard.no'), className: r.correct ? 'correct' : 'wrong' }
+        ])), 7);
+    }
+
+    function refresh() {
+        const code = classSelect.value;
+        const key = keyInput.value.trim();
+        const query = code ? `?class=${encodeURIComponent(code)}` : '';
+        // A download link cannot send headers, so the CSV gets the key in its query
+        csvLink.href = `/api/results.csv?${new URLSearchParams(code ? { class: code, key } : { key })}`;
+        if (!key) {
+            problem = 'locked';
+            render();
+            return Promise.resolve();
+        }
+        return window.fetch(`/api/results/summary${query}`, { headers: { 'X-Teacher-Key': key } })
+            .then((response) => {
+                if (response.status === 401) return null;
+                if (!response.ok) throw new Error(response.statusText);
+                return response.json();
+            })
+            .then((summary) => {
+                data = summary;
+                problem = summary ? null : 'locked';
+                render();
+            })
+            .catch(() => {
+                problem = 'offline';
+                render();
+            });
+    }
+
+    function initKey() {
+        try {
+            keyInput.value = window.sessionStorage.getItem(KEY_KEY) || '';
+        } catch (e) {
+            // Asked again on every visit
+        }
+        keyInput.addEventListener('change', () => {
+            try {
+                window.sessionStorage.setItem(KEY_KEY, keyInput.value.trim());
+            } catch (e) {
+                // Kept only while the page is open
+            }
+            refresh();
+        });
+    }
+
+    function initLanguage() {
+        try {
+            const language = window.localStorage.getItem(LANGUAGE_KEY);
+            if (language) window.I18n.setLocale(language);
+        } catch (e) {
+            // Default language
+        }
+        const select = document.getElementById('language-select');
+        select.innerHTML = window.I18n.locales()
+            .map(l => `<option value="${l.code}">${l.label}</option>`)
+            .join('');
+        select.value = window.I18n.getLocale();
+        select.addEventListener('change', e => window.I18n.setLocale(e.target.value));
+        window.I18n.onLocaleChange((code) => {
+            select.value = code;
+            try {
+                window.localStorage.setItem(LANGUAGE_KEY, code);
+            } catch (e) {
+                // The choice just isn't remembered
+            }
+            render();
+        });
+    }
+
+    function initDashboard() {
+        classSelect = document.getElementById('dashboard-class');
+        totalBox = document.getElementById('dashboard-total');
+        csvLink = document.getElementById('dashboard-csv');
+        keyInput = document.getElementById('dashboard-key');
+        initLanguage();
+        initKey();
+        classSelect.addEventListener('change', refresh);
+        document.getElementById('dashboard-refresh').addEventListener('click', refresh);
+        refresh();
+        setInterval(refresh, REFRESH_MS);
+    }
+
+    return {
+        initDashboard,
+        refresh
+    };
+})();
+
+window.Dashboard = Dashboard;
+
+document.addEventListener('DOMContentLoaded', Dashboard.initDashboard);
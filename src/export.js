@@ -0,0 +1,524 @@
+/**
+ * src/export.js
+ * Exports of the current shape: printable true-scale nets (SVG, and PDF via
+ * the browser's print dialog) and 3D models (STL, OBJ, glTF). One scene unit
+ * is one centimetre.
+ */
+
+const ExportManager = (function () {
+    const MARGIN = 1; // cm around the net
+    const PLATE_THICKNESS = 0.1; // cm, for the net printed as a flat plate
+    // Scene units (cm) to file units: slicers read STL/OBJ as mm, glTF is in metres
+    const MODEL_FORMATS = {
+        stl: { scale: 10, extension: 'stl', mime: 'model/stl' },
+        obj: { scale: 10, extension: 'obj', mime: 'text/plain' },
+        gltf: { scale: 0.01, extension: 'gltf', mime: 'model/gltf+json' }
+    };
+    const TAB_DEPTH = 0.8; // cm
+    const TOOTH = 1.2; // cm, tab length along curved rims
+    const PRINT_AREA = { short: 19, long: 27.7 }; // A4 minus 1 cm margins
+
+    const round = (v) => Math.round(v * 1000) / 1000;
+    const same = (p, q, eps) => Math.abs(p[0] - q[0]) < eps && Math.abs(p[1] - q[1]) < eps;
+
+    // Outline segments of every face: { face, a, b }
+    function faceSegments(layout) {
+        const segments = [];
+        layout.faces.forEach((face, index) => {
+            face.points.forEach((a, i) => {
+                const b = face.points[(i + 1) % face.points.length];
+                // Pointed faces such as sphere gores repeat their tip
+                if (Math.hypot(b[0] - a[0], b[1] - a[1]) > 1e-9) segments.push({ face: index, a, b });
+            });
+        });
+        return segments;
+    }
+
+    /**
+     * Folds the net in a throwaway hinged net and returns, per face, a function
+     * mapping a layout point to its position on the closed solid.
+     */
+    function foldedPositions(layout) {
+        const net = window.SceneManager.createNet(layout, 0xffffff);
+        const read = () => {
+            net.updateMatrixWorld(true);
+            return net.userData.faces.map((mesh) => {
+                const position = mesh.geometry.attributes.position;
+                const points = [];
+                for (let i = 0; i < position.count; i++) {
+                    points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld));
+                }
+                return points;
+            });
+        };
+        net.userData.setFold(0);
+        const flat = read();
+        net.userData.setFold(1);
+        const closed = read();
+
+        // A layout point follows the mesh vertex lying on it in the flat net
+        return flat.map((vertices, face) => (p) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            vertices.forEach((v, i) => {
+                const d = Math.hypot(v.x - p[0], v.z - p[1]);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = i;
+                }
+            });
+            return closed[face][best];
+        });
+    }
+
+    /**
+     * Sorts the outline into fold lines (shared with the face it hinges on),
+     * cut lines, and the cut lines that get a glue tab: one edge of every pair
+     * that meets on the closed solid, plus the rims of curved faces that are
+     * glued around a disc.
+     */
+    function classifyEdges(layout, size) {
+        const eps = size * 1e-4;
+        const segments = faceSegments(layout);
+        const related = (i, j) => layout.faces[i].parent === j || layout.faces[j].parent === i;
+        const folds = [];
+        const cuts = [];
+        const used = new Set();
+
+        segments.forEach((s, i) => {
+            if (used.has(i)) return;
+            const twin = segments.findIndex((t, j) => j !== i && !used.has(j) && t.face !== s.face &&
+                ((same(s.a, t.a, eps) && same(s.b, t.b, eps)) || (same(s.a, t.b, eps) && same(s.b, t.a, eps))));
+            used.add(i);
+            if (twin >= 0) {
+                used.add(twin);
+                (related(s.face, segments[twin].face) ? folds : cuts).push(Object.assign({ shared: true }, s));
+            } else {
+                cuts.push(s);
+            }
+        });
+
+        const fold = foldedPositions(layout);
+        const tol = size * 1e-3;
+        const closed = cuts.map((s) => (s.shared ? null : [fold[s.face](s.a), fold[s.face](s.b)]));
+        const paired = new Set();
+        const tabs = [];
+        closed.forEach((c, i) => {
+            if (!c || paired.has(i)) return;
+            const partner = closed.findIndex((d, j) => j > i && d && !paired.has(j) &&
+                ((c[0].distanceTo(d[0]) < tol && c[1].distanceTo(d[1]) < tol) ||
+                 (c[0].distanceTo(d[1]) < tol && c[1].distanceTo(d[0]) < tol)));
+            if (partner >= 0) {
+                paired.add(i);
+                paired.add(partner);
+                tabs.push({ segment: cuts[partner], other: cuts[i], teeth: false });
+            } else if (layout.faces[cuts[i].face].bend) {
+                tabs.push({ segment: cuts[i], teeth: true });
+            }
+        });
+        return { folds, cuts, tabs };
+    }
+
+    // Largest extent of the flat net, for tolerances
+    function netSize(layout) {
+        const all = layout.faces.flatMap((f) => f.points);
+        return Math.max(
+            Math.max(...all.map((p) => p[0])) - Math.min(...all.map((p) => p[0])),
+            Math.max(...all.map((p) => p[1])) - Math.min(...all.map((p) => p[1]))
+        );
+    }
+
+    function signedArea(points) {
+        let sum = 0;
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            sum += p[0] * q[1] - q[0] * p[1];
+        });
+        return sum / 2;
+    }
+
+    function centroid(points) {
+        const n = points.length;
+        return [points.reduce((s, p) => s + p[0], 0) / n, points.reduce((s, p) => s + p[1], 0) / n];
+    }
+
+    function insidePolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > point[1]) !== (yj > point[1]) && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // A tab may not cover a face, e.g. a disc touching a rim or a neighbouring gore
+    function coversFace(tabPolygon, layout) {
+        const probes = [tabPolygon[2], tabPolygon[3], centroid(tabPolygon)];
+        return layout.faces.some((f) => probes.some((p) => insidePolygon(p, f.points)));
+    }
+
+    /**
+     * Places the tab of one glued edge: { segment, polygons }. A pair's tab moves
+     * to the other edge when it would cover a face; rim teeth that would are
+     * left out.
+     */
+    function placeTab(tab, layout) {
+        const polygons = tabPolygons(tab.segment, tab.teeth, layout);
+        const free = polygons.filter((p) => !coversFace(p, layout));
+        if (tab.teeth || free.length === polygons.length || !tab.other) {
+            return { segment: tab.segment, polygons: free };
+        }
+        const other = tabPolygons(tab.other, false, layout);
+        return { segment: tab.other, polygons: other.every((p) => !coversFace(p, layout)) ? other : [] };
+    }
+
+    // Trapezoid tabs pointing away from the face, one per tooth along the edge
+    function tabPolygons(segment, teeth, layout) {
+        const { a, b, face } = segment;
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        const dir = [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+        let normal = [dir[1], -dir[0]];
+        const c = centroid(layout.faces[face].points);
+        const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+        if ((c[0] - mid[0]) * normal[0] + (c[1] - mid[1]) * normal[1] > 0) normal = [-normal[0], -normal[1]];
+
+        const count = teeth ? Math.max(1, Math.round(length / TOOTH)) : 1;
+        const piece = length / count;
+        const depth = Math.min(TAB_DEPTH, piece * 0.4);
+        const inset = Math.min(depth, piece / 3);
+        const at = (t, d) => [a[0] + dir[0] * t + normal[0] * d, a[1] + dir[1] * t + normal[1] * d];
+        const polygons = [];
+        for (let k = 0; k < count; k++) {
+            const from = k * piece + (teeth ? piece * 0.1 : 0);
+            const to = (k + 1) * piece - (teeth ? piece * 0.1 : 0);
+            polygons.push([at(from, 0), at(to, 0), at(to - inset, depth), at(from + inset, depth)]);
+        }
+        return polygons;
+    }
+
+    /**
+     * Builds the true-scale drawing of a net.
+     * @param {Object} layout - A net layout from ShapeRegistry.netLayout.
+     * @param {Object} [options] - { tabs: glue tabs (default true), labels: face numbers (default true) }
+     * @returns {{ svg: string, width: number, height: number }} Width and height in cm.
+     */
+    function netSvg(layout, options = {}) {
+        const withTabs = options.tabs !== false;
+        const withLabels = options.labels !== false;
+
+        const all = layout.faces.flatMap((f) => f.points);
+        const size = netSize(layout);
+        const { folds, cuts, tabs } = classifyEdges(layout, size);
+        const placed = withTabs ? tabs.map((t) => placeTab(t, layout)).filter((t) => t.polygons.length) : [];
+        const tabbed = new Set(placed.map((t) => t.segment));
+        const tabShapes = placed.flatMap((t) => t.polygons);
+
+        const everything = all.concat(...tabShapes);
+        const minX = Math.min(...everything.map((p) => p[0])) - MARGIN;
+        const minY = Math.min(...everything.map((p) => p[1])) - MARGIN;
+        const width = Math.max(...everything.map((p) => p[0])) + MARGIN - minX;
+        const height = Math.max(...everything.map((p) => p[1])) + MARGIN - minY;
+
+        const line = (s) => `<line x1="${round(s.a[0])}" y1="${round(s.a[1])}" x2="${round(s.b[0])}" y2="${round(s.b[1])}"/>`;
+        const polygon = (points) => `<polygon points="${points.map((p) => `${round(p[0])},${round(p[1])}`).join(' ')}"/>`;
+        // With tabs, an edge carrying one is folded rather than cut
+        const dashed = folds.concat(cuts.filter((s) => tabbed.has(s)));
+        const solid = cuts.filter((s) => !tabbed.has(s));
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}cm" height="${round(height)}cm" ` +
+                `viewBox="${round(minX)} ${round(minY)} ${round(width)} ${round(height)}">`,
+            `<g fill="#ffffff" stroke="none">${layout.faces.map((f) => polygon(f.points)).join('')}</g>`,
+            `<g fill="#eeeeee" stroke="#000000" stroke-width="0.02">${tabShapes.map(polygon).join('')}</g>`,
+            `<g stroke="#000000" stroke-width="0.03" stroke-linecap="round">${solid.map(line).join('')}</g>`,
+            `<g stroke="#000000" stroke-width="0.03" stroke-dasharray="0.3 0.2">${dashed.map(line).join('')}</g>`
+        ];
+        if (withLabels) {
+            const labels = layout.faces.map((f, i) => {
+                const [x, y] = centroid(f.points);
+                return `<text x="${round(x)}" y="${round(y)}">${i + 1}</text>`;
+            });
+            parts.push(`<g font-family="sans-serif" font-size="0.5" text-anchor="middle" dominant-baseline="middle" fill="#555555">${labels.join('')}</g>`);
+        }
+        parts.push('</svg>');
+        return { svg: parts.join('\n'), width, height };
+    }
+
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function downloadNetSvg(name, drawing) {
+        downloadFile(`${window.I18n.t('export.netFile')}-${name}.svg`, drawing.svg, 'image/svg+xml');
+    }
+
+    /**
+     * Opens the net on an A4 page and the print dialog, where it can be saved
+     * as PDF. Nets larger than the page are flagged on the sheet.
+     */
+    function printNet(title, drawing) {
+        const landscape = drawing.width > drawing.height;
+        const long = Math.max(drawing.width, drawing.height);
+        const short = Math.min(drawing.width, drawing.height);
+        const fits = long <= PRINT_AREA.long && short <= PRINT_AREA.short;
+        const { t } = window.I18n;
+        const size = { name: title, width: window.I18n.number(drawing.width.toFixed(1)), height: window.I18n.number(drawing.height.toFixed(1)) };
+        const win = window.open('', '_blank');
+        if (!win) return false;
+        win.document.write(`<!DOCTYPE html>
+<html lang="${window.I18n.getLocale()}">
+<head>
+<meta charset="UTF-8">
+<title>${t('export.printTitle', size)}</title>
+<style>
+    @page { size: A4 ${landscape ? 'landscape' : 'portrait'}; margin: 1cm; }
+    body { margin: 0; font-family: sans-serif; }
+    p { font-size: 9pt; margin: 0 0 0.3cm; }
+    .warning { color: #c0392b; }
+</style>
+</head>
+<body>
+<p>${t('export.printNote', size)}</p>
+${fits ? '' : `<p class="warning">${t('export.tooLarge')}</p>`}
+${drawing.svg}
+</body>
+</html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+        return true;
+    }
+
+    // ===================== 3D MODELS =====================
+
+    /**
+     * Outline of the whole net as closed loops: every face edge (faces turned
+     * counter-clockwise), split where another face's corner lies on it, minus
+     * the pieces two faces share. Counter-clockwise loops are outlines,
+     * clockwise ones holes.
+     */
+    function netOutlines(layout, eps) {
+        const segments = faceSegments(layout).map((s) => (signedArea(layout.faces[s.face].points) < 0
+            ? { face: s.face, a: s.b, b: s.a }
+            : s));
+        const corners = segments.map((s) => s.a);
+        const pieces = [];
+        segments.forEach(({ a, b }) => {
+            const d = [b[0] - a[0], b[1] - a[1]];
+            const length = Math.hypot(d[0], d[1]);
+            const inner = corners
+                .map((p) => ({ p, t: ((p[0] - a[0]) * d[0] + (p[1] - a[1]) * d[1]) / (length * length) }))
+                .filter(({ p, t }) => t > 0 && t < 1 && !same(p, a, eps) && !same(p, b, eps) &&
+                    Math.abs((p[0] - a[0]) * d[1] - (p[1] - a[1]) * d[0]) / length < eps)
+                .sort((u, v) => u.t - v.t)
+                .map(({ p }) => p);
+            const chain = [a].concat(inner, [b]);
+            for (let k = 0; k + 1 < chain.length; k++) {
+                if (!same(chain[k], chain[k + 1], eps)) pieces.push([chain[k], chain[k + 1]]);
+            }
+        });
+        const boundary = pieces.filter(([a, b]) => !pieces.some(([c, d]) => same(a, d, eps) && same(b, c, eps)));
+
+        const loops = [];
+        const used = new Set();
+        boundary.forEach((first, i) => {
+            if (used.has(i)) return;
+            const loop = [];
+            let current = i;
+            while (current >= 0) {
+                used.add(current);
+                loop.push(boundary[current][0]);
+                const end = boundary[current][1];
+                if (same(end, first[0], eps)) break;
+                current = boundary.findIndex((s, j) => !used.has(j) && same(s[0], end, eps));
+            }
+            if (loop.length >= 3) loops.push(loop);
+        });
+        return loops;
+    }
+
+    /**
+     * The flat net as one plate PLATE_THICKNESS thick, lying on the ground.
+     * The merged outline is extruded as a whole, so fold lines leave no
+     * walls inside the plate. Faces that only touch at a corner (the discs on
+     * a cylinder's or cone's mantle, sphere gores) meet only at that point:
+     * the plate narrows to zero width there, so they print as separate pieces.
+     */
+    function netPlateGeometry(layout) {
+        const loops = netOutlines(layout, netSize(layout) * 1e-4);
+        const toVectors = (loop) => loop.map(([x, y]) => new THREE.Vector2(x, y));
+        const outlines = loops.filter((loop) => signedArea(loop) > 0);
+        const shapes = outlines.map((loop) => new THREE.Shape(toVectors(loop)));
+        loops.filter((loop) => signedArea(loop) < 0).forEach((hole) => {
+            const outer = outlines.findIndex((loop) => insidePolygon(hole[0], loop));
+            if (outer >= 0) shapes[outer].holes.push(new THREE.Path(toVectors(hole)));
+        });
+        return new THREE.ExtrudeGeometry(shapes, { depth: PLATE_THICKNESS, bevelEnabled: false })
+            .rotateX(Math.PI / 2)
+            .translate(0, PLATE_THICKNESS, 0);
+    }
+
+    // Triangles as flat [x, y, z] vertex triples, scaled to file units
+    function triangles(geometry, scale) {
+        const flat = geometry.index ? geometry.toNonIndexed() : geometry;
+        const position = flat.attributes.position;
+        const result = [];
+        for (let i = 0; i + 2 < position.count; i += 3) {
+            const tri = [];
+            for (let k = 0; k < 3; k++) {
+                tri.push([position.getX(i + k) * scale, position.getY(i + k) * scale, position.getZ(i + k) * scale]);
+            }
+            result.push(tri);
+        }
+        return result;
+    }
+
+    function normalOf([a, b, c]) {
+        const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(n[0], n[1], n[2]) || 1;
+        return n.map((x) => x / length);
+    }
+
+    // Shared vertices and index triples, merging equal positions
+    function indexed(tris) {
+        const vertices = [];
+        const lookup = new Map();
+        const faces = tris.map((tri) => tri.map((v) => {
+            const key = v.map((x) => x.toFixed(5)).join(',');
+            if (!lookup.has(key)) {
+                lookup.set(key, vertices.length);
+                vertices.push(v);
+            }
+            return lookup.get(key);
+        }));
+        return { vertices, faces };
+    }
+
+    /**
+     * Binary STL, turned Z-up so the shape stands on the print bed.
+     */
+    function toStl(tris) {
+        const buffer = new ArrayBuffer(84 + tris.length * 50);
+        const view = new DataView(buffer);
+        const header = 'MathSpace Mini STL (mm)';
+        for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+        view.setUint32(80, tris.length, true);
+        let offset = 84;
+        const zUp = ([x, y, z]) => [x, -z, y];
+        tris.forEach((tri) => {
+            const turned = tri.map(zUp);
+            normalOf(turned).concat(...turned).forEach((value) => {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            });
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        });
+        return buffer;
+    }
+
+    function toObj(tris, name) {
+        const { vertices, faces } = indexed(tris);
+        const round6 = (x) => Math.round(x * 1e6) / 1e6;
+        return [
+            '# MathSpace Mini OBJ (mm)',
+            `o ${name}`,
+            ...vertices.map((v) => `v ${v.map(round6).join(' ')}`),
+            ...faces.map((f) => `f ${f.map((i) => i + 1).join(' ')}`)
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * glTF 2.0 with the buffer embedded as a data URI and the shape's colour.
+     */
+    function toGltf(tris, name, color) {
+        const { vertices, faces } = indexed(tris);
+        const positions = new Float32Array(vertices.flat());
+        const indices = new Uint32Array(faces.flat());
+        const bytes = new Uint8Array(positions.byteLength + indices.byteLength);
+        bytes.set(new Uint8Array(positions.buffer), 0);
+        bytes.set(new Uint8Array(indices.buffer), positions.byteLength);
+        let binary = '';
+        bytes.forEach((b) => { binary += String.fromCharCode(b); });
+
+        const c = new THREE.Color(color);
+        const axis = (k) => vertices.map((v) => v[k]);
+        const gltf = {
+            asset: { version: '2.0', generator: 'MathSpace Mini' },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ mesh: 0, name }],
+            meshes: [{ name, primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }],
+            materials: [{
+                pbrMetallicRoughness: { baseColorFactor: [c.r, c.g, c.b, 1], metallicFactor: 0, roughnessFactor: 0.8 },
+                doubleSided: true
+            }],
+            accessors: [
+                {
+                    bufferView: 0, componentType: 5126, count: vertices.length, type: 'VEC3',
+                    min: [0, 1, 2].map((k) => Math.min(...axis(k))),
+                    max: [0, 1, 2].map((k) => Math.max(...axis(k)))
+                },
+                { bufferView: 1, componentType: 5125, count: indices.length, type: 'SCALAR' }
+            ],
+            bufferViews: [
+                { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, target: 34962 },
+                { buffer: 0, byteOffset: positions.byteLength, byteLength: indices.byteLength, target: 34963 }
+            ],
+            buffers: [{ byteLength: bytes.byteLength, uri: `data:application/octet-stream;base64,${btoa(binary)}` }]
+        };
+        return JSON.stringify(gltf);
+    }
+
+    /**
+     * Writes a geometry (in scene cm) in the given format.
+     * @param {string} format - 'stl', 'obj' or 'gltf'.
+     * @returns {{ content: (ArrayBuffer|string), extension: string, mime: string }}
+     */
+    function modelFile(geometry, format, name, color) {
+        const config = MODEL_FORMATS[format];
+        const tris = triangles(geometry, config.scale);
+        const content = format === 'stl' ? toStl(tris)
+            : format === 'obj' ? toObj(tris, name)
+            : toGltf(tris, name, color);
+        return { content, extension: config.extension, mime: config.mime };
+    }
+
+    /**
+     * Downloads a 3D model of the shape: the solid, or with `asNet` the flat
+     * net as a thin plate.
+     */
+    function downloadModel(type, params, format, options = {}) {
+        const shape = window.ShapeRegistry.get(type);
+        const geometry = options.asNet
+            ? netPlateGeometry(window.ShapeRegistry.netLayout(type, params, options.netKey))
+            : shape.solid(params);
+        const name = options.asNet ? `${window.I18n.t('export.netFile')}-${type}` : type;
+        const file = modelFile(geometry, format, name, shape.color);
+        downloadFile(`${name}.${file.extension}`, file.content, file.mime);
+    }
+
+    return {
+        netSvg,
+        downloadFile,
+        downloadNetSvg,
+        printNet,
+        netPlateGeometry,
+        modelFile,
+        downloadModel
+    };
+})();
+
+window.ExportManager = ExportManager;
@@ -0,0 +1,756 @@
+/**
+ * src/i18n.js
+ * Languages: the Indonesian and English text bundles, the current locale,
+ * number formatting (decimal comma or point) and translation of the static
+ * page. Shape names, descriptions and labels are written in Indonesian in the
+ * registry; the English bundle carries their translations.
+ * Loaded as a plain script in the browser (window.I18n) and with require() in
+ * Node (server console messages).
+ */
+
+(function (root, factory) {
+    const i18n = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = i18n;
+    } else {
+        root.I18n = i18n;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BUNDLES = {
+        id: {
+            label: 'Bahasa Indonesia',
+            decimal: ',',
+            messages: {
+                'app.logoAlt': 'Logo MathSpace Mini',
+                'app.language': 'Bahasa',
+                'startup.title': 'Aplikasi tidak dapat dimulai',
+                'startup.webgl': 'Browser atau kartu grafis ini tidak mendukung WebGL, sehingga bangun ruang 3D tidak dapat digambar. Coba browser lain (Chrome, Firefox, Edge) atau aktifkan akselerasi perangkat keras di pengaturan browser.',
+                'startup.dependency': 'Pustaka {names} tidak dapat dimuat. Buka aplikasi melalui server kelas (jalankan npm install sekali, lalu node server.js) agar semua pustaka disajikan dari komputer sendiri tanpa internet.',
+                'startup.retry': 'Coba Lagi',
+
+                'shapes.title': 'Pilih Bangun Ruang',
+                'button.cube': 'Kubus',
+                'button.box': 'Balok',
+                'button.cylinder': 'Tabung',
+                'button.pyramid': 'Limas',
+                'button.cone': 'Kerucut',
+                'button.prism': 'Prisma',
+                'button.regularPrism': 'Prisma Segi-n',
+                'button.regularPyramid': 'Limas Segi-n',
+                'button.sphere': 'Bola',
+                'button.hemisphere': 'Setengah Bola',
+                'button.coneFrustum': 'Kerucut Terpancung',
+                'button.pyramidFrustum': 'Limas Terpancung',
+                'camera.reset': 'Reset Kamera',
+
+                'common.play': 'Putar',
+                'common.pause': 'Jeda',
+                'common.restart': 'Ulangi',
+                'common.full': 'Penuh!',
+
+                'quantity.volume': 'Volume',
+                'quantity.surfaceArea': 'Luas Permukaan',
+                'quantity.capacity': 'Kapasitas',
+                'unit.label': 'Satuan',
+                'unit.in': '{label} dalam {unit}',
+                'unit.mm': 'Milimeter (mm)',
+                'unit.cm': 'Sentimeter (cm)',
+                'unit.m': 'Meter (m)',
+
+                'validate.number': '{label} harus diisi dengan angka.',
+                'validate.range': '{label} harus antara {min} dan {max}{unit}.',
+                'validate.integer': '{label} harus bilangan bulat.',
+                'validate.triangle': 'Sisi-sisi tidak membentuk segitiga: setiap sisi harus lebih pendek dari jumlah dua sisi lainnya.',
+                'validate.coneFrustum': 'Jari-jari atas (r) harus lebih kecil dari jari-jari bawah (R).',
+                'validate.pyramidFrustum': 'Sisi atas (b) harus lebih kecil dari sisi bawah (a).',
+
+                'net.title': 'Animasi Jaring-jaring',
+                'net.fold': 'Buka / Tutup',
+                'net.net': 'Jaring-jaring',
+                'net.solid': 'Bangun Ruang',
+                'net.layout': 'Pola Jaring-jaring',
+                'net.unfold': 'Buka Otomatis',
+                'net.refold': 'Tutup Otomatis',
+                'dims.title': 'Garis Ukuran',
+                'dims.params': 'Ukuran bangun',
+                'dims.derived': 'Ukuran turunan (tinggi miring, keliling)',
+
+                'export.netTitle': 'Cetak Jaring-jaring (skala 1:1, cm)',
+                'export.tabs': 'Lidah lem',
+                'export.svg': 'Unduh SVG',
+                'export.print': 'Cetak / PDF',
+                'export.modelTitle': 'Unduh Model 3D',
+                'export.stl': 'STL (mm, untuk cetak 3D)',
+                'export.obj': 'OBJ (mm)',
+                'export.gltf': 'glTF (meter)',
+                'export.modelNet': 'Jaring-jaring sebagai pelat tipis (1 mm)',
+                'export.model': 'Unduh Model',
+                'export.netFile': 'jaring-jaring',
+                'export.printTitle': 'Jaring-jaring {name}',
+                'export.printNote': 'Jaring-jaring {name} (skala 1:1, {width} × {height} cm). Cetak dengan skala 100%. ' +
+                    'Garis utuh: potong, garis putus-putus: lipat.',
+                'export.tooLarge': 'Jaring-jaring lebih besar dari kertas A4; perkecil ukurannya atau cetak di kertas yang lebih besar.',
+
+                'size.title': 'Atur Ukuran',
+                'solve.open': 'Cari Ukuran',
+                'solve.close': 'Tutup Cari Ukuran',
+                'solve.unknown': 'Ukuran yang Dicari',
+                'solve.quantity': 'Yang Diketahui',
+                'solve.target': 'Nilai',
+                'solve.solved': 'Dihitung oleh Cari Ukuran',
+                'solve.volume': 'Volume ({unit}³)',
+                'solve.surfaceArea': 'Luas Permukaan ({unit}²)',
+                'solve.capacity': 'Kapasitas (L)',
+                'solve.enterTarget': 'Masukkan nilai yang diketahui (lebih dari 0).',
+                'solve.none': 'Tidak ada {label} antara {min} dan {max} {unit} yang menghasilkan {quantity} = {target} ' +
+                    'dengan ukuran lainnya.',
+
+                'formula.title': 'Rumus & Kalkulasi',
+                'steps.show': 'Langkah Penyelesaian',
+                'steps.hide': 'Sembunyikan Langkah',
+
+                'challenge.open': 'Tantangan Jaring-jaring',
+                'challenge.close': 'Keluar dari Tantangan',
+                'challenge.title': 'Apakah Ini Jaring-jaring?',
+                'challenge.target': 'Bangun Ruang',
+                'challenge.targetCube': 'Kubus (persegi)',
+                'challenge.targetTetrahedron': 'Tetrahedron (segitiga)',
+                'challenge.check': 'Periksa',
+                'challenge.clear': 'Hapus Semua',
+                'challenge.cube': 'kubus',
+                'challenge.cubeFaces': 'persegi',
+                'challenge.tetrahedron': 'limas segitiga beraturan (tetrahedron)',
+                'challenge.tetrahedronFaces': 'segitiga',
+                'challenge.start': 'Susun {count} {faces}, lalu tekan Periksa.',
+                'challenge.empty': 'Klik kotak pada kanvas untuk menyusun {faces}.',
+                'challenge.disconnected': 'Semua {faces} harus tersambung sisi ke sisi.',
+                'challenge.folding': 'Melipat...',
+                'challenge.overlap': 'Belum tepat: {faces} berwarna merah saling bertumpuk saat dilipat. Klik kanvas untuk mengubah susunan.',
+                'challenge.notClosed': 'Belum tertutup: {name} membutuhkan {count} {faces}, susunan ini baru {have}.',
+                'challenge.correct': 'Benar! Susunan ini adalah jaring-jaring {name}.',
+
+                'section.open': 'Irisan Bidang',
+                'section.close': 'Tutup Irisan',
+                'section.hint': 'Seret bidang biru di kanvas ke atas atau ke bawah.',
+                'section.height': 'Tinggi Bidang',
+                'section.tilt': 'Kemiringan (0°–75°)',
+                'section.solidOnly': 'Irisan hanya tampil pada bangun ruang yang tertutup. Geser slider lipatan ke "Bangun Ruang".',
+                'section.convexOnly': 'Irisan hanya tersedia untuk bangun ruang cembung (tanpa lekukan), bukan untuk bangun ini.',
+                'section.miss': 'Bidang tidak memotong bangun ruang. Geser bidang ke atas atau ke bawah.',
+                'section.area': 'Luas irisan',
+                'section.curvedCut': 'Bangun lengkung terpotong',
+                'section.circle': 'Lingkaran',
+                'section.ellipse': 'Elips',
+                'section.equilateral': 'Segitiga sama sisi',
+                'section.isosceles': 'Segitiga sama kaki',
+                'section.triangle': 'Segitiga',
+                'section.square': 'Persegi',
+                'section.rectangle': 'Persegi panjang',
+                'section.rhombus': 'Belah ketupat',
+                'section.parallelogram': 'Jajargenjang',
+                'section.trapezoid': 'Trapesium',
+                'section.quadrilateral': 'Segi empat',
+                'section.pentagon': 'Segi lima',
+                'section.hexagon': 'Segi enam',
+                'section.heptagon': 'Segi tujuh',
+                'section.octagon': 'Segi delapan',
+                'section.polygon': 'Segi-{n}',
+
+                'compare.open': 'Bandingkan Bangun',
+                'compare.close': 'Tutup Perbandingan',
+                'compare.shape': 'Bangun Pembanding',
+                'compare.match': 'Samakan Ukuran',
+                'compare.ratio': 'Rasio',
+
+                'pour.open': 'Isi Air',
+                'pour.close': 'Tutup Isi Air',
+                'pour.demo': 'Peragaan',
+                'pour.fill': 'Isi bangun ini',
+                'pour.coneCylinder': 'Kerucut → Tabung (3 kali)',
+                'pour.pyramidPrism': 'Limas → Prisma (3 kali)',
+                'pour.invalid': 'Perbaiki ukuran bangun ruang terlebih dahulu.',
+                'pour.water': '<strong>{name}</strong>: tinggi air {level}, volume air {volume} ({millilitres} mL)',
+                'pour.done': 'Selesai: {count} kali tuang.',
+                'pour.step': 'Tuangan ke-{n} dari {count}:',
+                'pour.filling': 'mengisi {source}...',
+                'pour.pouring': 'menuang {source}...',
+                'pour.ratio': '{Target} penuh, jadi V {source} = 1/{count} × V {target}.',
+                'pour.spilled': '{Target} sudah penuh, airnya tumpah.',
+
+                'cubes.open': 'Kubus Satuan',
+                'cubes.close': 'Tutup Kubus Satuan',
+                'cubes.hint': 'Setiap kubus satuan berukuran 1 cm × 1 cm × 1 cm. Kubus hijau hanya sebagian.',
+                'cubes.layers': 'Lapisan',
+                'cubes.layer': 'Lapisan {n} dari {count}',
+                'cubes.whole': '{count} kubus satuan',
+                'cubes.partial': ' + {count} kubus sebagian',
+
+                'quiz.open': 'Mode Kuis',
+                'quiz.close': 'Tutup Kuis',
+                'quiz.title': 'Kuis',
+                'quiz.placeholder': 'Jawaban (2 angka di belakang koma)',
+                'quiz.answer': 'Jawaban',
+                'quiz.submit': 'Jawab',
+                'quiz.next': 'Soal Berikutnya',
+                'quiz.score': 'Skor: {correct}/{total} · Beruntun: {streak} (terbaik {best})',
+                'quiz.option': 'Pilihan {n}',
+                'quiz.findDimension': 'Sebuah {name} memiliki volume {volume}{others}. Berapakah {label}?',
+                'quiz.and': ' dan {list}',
+                'quiz.or': ' atau ',
+                'quiz.findVolume': 'Hitung volume {name} dengan {params}.',
+                'quiz.findSurfaceArea': 'Hitung luas permukaan {name} dengan {params}.',
+                'quiz.findNet': 'Manakah yang merupakan jaring-jaring kubus?',
+                'quiz.netCorrect': 'Benar! Jaring-jaring ini ditampilkan di kanvas, geser slider untuk melipatnya.',
+                'quiz.netWrong': 'Belum tepat. Jaring-jaring yang benar ditampilkan di kanvas, geser slider untuk melipatnya.',
+                'quiz.correct': 'Benar! Jawabannya {answer}.',
+                'quiz.wrong': 'Belum tepat. Jawaban yang benar adalah {answer}. Lihat langkah penyelesaian di panel rumus.',
+                'quiz.notNumber': 'Masukkan jawaban berupa angka.',
+
+                'classroom.student': 'Nama Siswa',
+                'classroom.class': 'Kode Kelas',
+                'classroom.hint': 'Isi nama dan kode kelas agar jawaban kuis dan tantangan tersimpan untuk guru.',
+                'classroom.saved': 'Jawaban tersimpan ({count}).',
+                'classroom.failed': 'Jawaban tidak tersimpan: server kelas tidak terjangkau.',
+                'classroom.rejected': 'Jawaban tidak tersimpan: {error}',
+
+                'dashboard.title': 'Dasbor Guru',
+                'dashboard.class': 'Kelas',
+                'dashboard.allClasses': 'Semua kelas',
+                'dashboard.refresh': 'Muat Ulang',
+                'dashboard.csv': 'Unduh CSV',
+                'dashboard.total': '{total} jawaban, {percent}% benar',
+                'dashboard.empty': 'Belum ada jawaban yang tersimpan.',
+                'dashboard.offline': 'Server tidak terjangkau. Buka dasbor ini dari server kelas (node server.js).',
+                'dashboard.students': 'Skor per Siswa',
+                'dashboard.shapes': 'Skor per Bangun Ruang',
+                'dashboard.recent': 'Jawaban Terbaru',
+                'dashboard.student': 'Nama',
+                'dashboard.answers': 'Jawaban',
+                'dashboard.correct': 'Benar',
+                'dashboard.score': 'Skor',
+                'dashboard.last': 'Terakhir',
+                'dashboard.shape': 'Bangun Ruang',
+                'dashboard.time': 'Waktu',
+                'dashboard.activity': 'Kegiatan',
+                'dashboard.answer': 'Jawaban Siswa',
+                'dashboard.yes': 'Ya',
+                'dashboard.no': 'Tidak',
+                'dashboard.quiz': 'Kuis',
+                'dashboard.challenge': 'Tantangan',
+                'dashboard.back': 'Kembali ke aplikasi',
+                'dashboard.key': 'PIN Guru',
+                'dashboard.keyHint': 'Lihat konsol server',
+                'dashboard.locked': 'Masukkan PIN guru yang tampil di konsol server, lalu tekan Muat Ulang.',
+
+                'server.running': '🚀 Server berjalan di:',
+                'server.expressRunning': '🚀 Server Express berjalan di:',
+                'server.stopHint': 'Tekan Ctrl+C untuk menghentikan server',
+                'server.portInUse': '❌ Port {port} sedang digunakan. Silakan tutup aplikasi lain yang menggunakan port ini atau ganti port di server.js',
+                'server.error': '❌ Terjadi kesalahan pada server:',
+                'server.stopped': 'Server dimatikan',
+                'server.errorPage': 'Terjadi kesalahan pada server!',
+                'server.api': '   - API: http://localhost:{port}/api/shapes',
+                'server.dashboard': '   - Dasbor guru: http://{host}:{port}/dashboard.html',
+                'server.teacherKey': '   - PIN guru untuk dasbor: {key}',
+
+                'api.unknownShape': 'Bangun ruang "{shape}" tidak dikenal. Lihat /api/shapes.',
+                'api.badJson': 'Isi permintaan harus berupa JSON.',
+                'results.student': 'Nama siswa harus diisi.',
+                'results.classCode': 'Kode kelas harus diisi.',
+                'results.shape': 'Bangun ruang harus diisi.',
+                'results.correct': '"correct" harus bernilai true atau false.',
+                'results.file': 'hasil',
+                'api.notFound': 'Alamat API tidak ditemukan. Gunakan /api/shapes atau /api/calc/:shape.',
+                'api.method': 'API hanya menerima permintaan GET, dan POST untuk /api/results.',
+                'api.tooLarge': 'Isi permintaan terlalu besar (maksimal {size} KB).',
+                'api.teacherKey': 'Hasil siswa hanya untuk guru. Kirim PIN guru yang tampil di konsol server.'
+            }
+        },
+        en: {
+            label: 'English',
+            decimal: '.',
+            messages: {
+                'app.logoAlt': 'MathSpace Mini logo',
+                'app.language': 'Language',
+                'startup.title': 'The app cannot start',
+                'startup.webgl': 'This browser or graphics card does not support WebGL, so the 3D solids cannot be drawn. Try another browser (Chrome, Firefox, Edge) or turn on hardware acceleration in the browser settings.',
+                'startup.dependency': 'The {names} library could not be loaded. Open the app through the class server (run npm install once, then node server.js) so every library is served from your own computer without internet.',
+                'startup.retry': 'Try Again',
+
+                'shapes.title': 'Choose a Solid',
+                'button.cube': 'Cube',
+                'button.box': 'Cuboid',
+                'button.cylinder': 'Cylinder',
+                'button.pyramid': 'Pyramid',
+                'button.cone': 'Cone',
+                'button.prism': 'Prism',
+                'button.regularPrism': 'n-gon Prism',
+                'button.regularPyramid': 'n-gon Pyramid',
+                'button.sphere': 'Sphere',
+                'button.hemisphere': 'Hemisphere',
+                'button.coneFrustum': 'Cone Frustum',
+                'button.pyramidFrustum': 'Pyramid Frustum',
+                'camera.reset': 'Reset Camera',
+
+                'common.play': 'Play',
+                'common.pause': 'Pause',
+                'common.restart': 'Restart',
+                'common.full': 'Full!',
+
+                'quantity.volume': 'Volume',
+                'quantity.surfaceArea': 'Surface Area',
+                'quantity.capacity': 'Capacity',
+                'unit.label': 'Unit',
+                'unit.in': '{label} in {unit}',
+                'unit.mm': 'Millimetres (mm)',
+                'unit.cm': 'Centimetres (cm)',
+                'unit.m': 'Metres (m)',
+
+                'validate.number': '{label} must be a number.',
+                'validate.range': '{label} must be between {min} and {max}{unit}.',
+                'validate.integer': '{label} must be a whole number.',
+                'validate.triangle': 'The sides do not form a triangle: each side must be shorter than the other two together.',
+                'validate.coneFrustum': 'The top radius (r) must be smaller than the bottom radius (R).',
+                'validate.pyramidFrustum': 'The top side (b) must be smaller than the bottom side (a).',
+
+                'net.title': 'Net Animation',
+                'net.fold': 'Open / Close',
+                'net.net': 'Net',
+                'net.solid': 'Solid',
+                'net.layout': 'Net Pattern',
+                'net.unfold': 'Unfold',
+                'net.refold': 'Fold Up',
+                'dims.title': 'Dimension Lines',
+                'dims.params': 'Dimensions of the solid',
+                'dims.derived': 'Derived lengths (slant height, circumference)',
+
+                'export.netTitle': 'Print the Net (1:1 scale, cm)',
+                'export.tabs': 'Glue tabs',
+                'export.svg': 'Download SVG',
+                'export.print': 'Print / PDF',
+                'export.modelTitle': 'Download 3D Model',
+                'export.stl': 'STL (mm, for 3D printing)',
+                'export.obj': 'OBJ (mm)',
+                'export.gltf': 'glTF (metres)',
+                'export.modelNet': 'Net as a thin plate (1 mm)',
+                'export.model': 'Download Model',
+                'export.netFile': 'net',
+                'export.printTitle': 'Net of the {name}',
+                'export.printNote': 'Net of the {name} (1:1 scale, {width} × {height} cm). Print at 100% scale. ' +
+                    'Solid lines: cut, dashed lines: fold.',
+                'export.tooLarge': 'The net is larger than an A4 sheet; make it smaller or print on larger paper.',
+
+                'size.title': 'Dimensions',
+                'solve.open': 'Find a Dimension',
+                'solve.close': 'Close Find a Dimension',
+                'solve.unknown': 'Dimension to Find',
+                'solve.quantity': 'Known Quantity',
+                'solve.target': 'Value',
+                'solve.solved': 'Worked out by Find a Dimension',
+                'solve.volume': 'Volume ({unit}³)',
+                'solve.surfaceArea': 'Surface Area ({unit}²)',
+                'solve.capacity': 'Capacity (L)',
+                'solve.enterTarget': 'Enter the known value (greater than 0).',
+                'solve.none': 'No {label} between {min} and {max} {unit} gives {quantity} = {target} ' +
+                    'with the other dimensions.',
+
+                'formula.title': 'Formulas & Calculation',
+                'steps.show': 'Worked Solution',
+                'steps.hide': 'Hide Steps',
+
+                'challenge.open': 'Net Challenge',
+                'challenge.close': 'Leave the Challenge',
+                'challenge.title': 'Is This a Net?',
+                'challenge.target': 'Solid',
+                'challenge.targetCube': 'Cube (squares)',
+                'challenge.targetTetrahedron': 'Tetrahedron (triangles)',
+                'challenge.check': 'Check',
+                'challenge.clear': 'Clear All',
+                'challenge.cube': 'cube',
+                'challenge.cubeFaces': 'squares',
+                'challenge.tetrahedron': 'regular tetrahedron',
+                'challenge.tetrahedronFaces': 'triangles',
+                'challenge.start': 'Lay out {count} {faces}, then press Check.',
+                'challenge.empty': 'Click cells on the canvas to lay out {faces}.',
+                'challenge.disconnected': 'All {faces} must join edge to edge.',
+                'challenge.folding': 'Folding...',
+                'challenge.overlap': 'Not quite: the red {faces} overlap when folded. Click the canvas to change the layout.',
+                'challenge.notClosed': 'Not closed: a {name} needs {count} {faces}, this layout has {have}.',
+                'challenge.correct': 'Correct! This layout is a net of a {name}.',
+
+                'section.open': 'Cross-Section',
+                'section.close': 'Close Cross-Section',
+                'section.hint': 'Drag the blue plane on the canvas up or down.',
+                'section.height': 'Plane Height',
+                'section.tilt': 'Tilt (0°–75°)',
+                'section.solidOnly': 'The cross-section only shows on a closed solid. Move the fold slider to "Solid".',
+                'section.convexOnly': 'Cross-sections are only available for convex solids (without dents), not for this one.',
+                'section.miss': 'The plane misses the solid. Move it up or down.',
+                'section.area': 'Cross-section area',
+                'section.curvedCut': 'Cut-off curved shape',
+                'section.circle': 'Circle',
+                'section.ellipse': 'Ellipse',
+                'section.equilateral': 'Equilateral triangle',
+                'section.isosceles': 'Isosceles triangle',
+                'section.triangle': 'Triangle',
+                'section.square': 'Square',
+                'section.rectangle': 'Rectangle',
+                'section.rhombus': 'Rhombus',
+                'section.parallelogram': 'Parallelogram',
+                'section.trapezoid': 'Trapezoid',
+                'section.quadrilateral': 'Quadrilateral',
+                'section.pentagon': 'Pentagon',
+                'section.hexagon': 'Hexagon',
+                'section.heptagon': 'Heptagon',
+                'section.octagon': 'Octagon',
+                'section.polygon': '{n}-gon',
+
+                'compare.open': 'Compare Solids',
+                'compare.close': 'Close Comparison',
+                'compare.shape': 'Second Solid',
+                'compare.match': 'Match Dimensions',
+                'compare.ratio': 'Ratio',
+
+                'pour.open': 'Fill with Water',
+                'pour.close': 'Close Water Demo',
+                'pour.demo': 'Demo',
+                'pour.fill': 'Fill this solid',
+                'pour.coneCylinder': 'Cone → Cylinder (3 times)',
+                'pour.pyramidPrism': 'Pyramid → Prism (3 times)',
+                'pour.invalid': 'Fix the dimensions of the solid first.',
+                'pour.water': '<strong>{name}</strong>: water level {level}, water volume {volume} ({millilitres} mL)',
+                'pour.done': 'Done: poured {count} times.',
+                'pour.step': 'Pour {n} of {count}:',
+                'pour.filling': 'filling the {source}...',
+                'pour.pouring': 'pouring the {source}...',
+                'pour.ratio': 'The {target} is full, so V {source} = 1/{count} × V {target}.',
+                'pour.spilled': 'The {target} is already full and the water spills over.',
+
+                'cubes.open': 'Unit Cubes',
+                'cubes.close': 'Close Unit Cubes',
+                'cubes.hint': 'Each unit cube measures 1 cm × 1 cm × 1 cm. Green cubes are partial.',
+                'cubes.layers': 'Layers',
+                'cubes.layer': 'Layer {n} of {count}',
+                'cubes.whole': '{count} unit cubes',
+                'cubes.partial': ' + {count} partial cubes',
+
+                'quiz.open': 'Quiz Mode',
+                'quiz.close': 'Close Quiz',
+                'quiz.title': 'Quiz',
+                'quiz.placeholder': 'Answer (2 decimal places)',
+                'quiz.answer': 'Answer',
+                'quiz.submit': 'Submit',
+                'quiz.next': 'Next Question',
+                'quiz.score': 'Score: {correct}/{total} · Streak: {streak} (best {best})',
+                'quiz.option': 'Option {n}',
+                'quiz.findDimension': 'A {name} has a volume of {volume}{others}. What is its {label}?',
+                'quiz.and': ' and {list}',
+                'quiz.or': ' or ',
+                'quiz.findVolume': 'Find the volume of a {name} with {params}.',
+                'quiz.findSurfaceArea': 'Find the surface area of a {name} with {params}.',
+                'quiz.findNet': 'Which one is a net of a cube?',
+                'quiz.netCorrect': 'Correct! The net is shown on the canvas; move the slider to fold it.',
+                'quiz.netWrong': 'Not quite. The correct net is shown on the canvas; move the slider to fold it.',
+                'quiz.correct': 'Correct! The answer is {answer}.',
+                'quiz.wrong': 'Not quite. The correct answer is {answer}. See the worked solution in the formula panel.',
+                'quiz.notNumber': 'Enter a number as your answer.',
+
+                'classroom.student': 'Student Name',
+                'classroom.class': 'Class Code',
+                'classroom.hint': 'Enter your name and class code so your quiz and challenge answers are saved for the teacher.',
+                'classroom.saved': 'Answers saved ({count}).',
+                'classroom.failed': 'Answer not saved: the class server cannot be reached.',
+                'classroom.rejected': 'Answer not saved: {error}',
+
+                'dashboard.title': 'Teacher Dashboard',
+                'dashboard.class': 'Class',
+                'dashboard.allClasses': 'All classes',
+                'dashboard.refresh': 'Refresh',
+                'dashboard.csv': 'Download CSV',
+                'dashboard.total': '{total} answers, {percent}% correct',
+                'dashboard.empty': 'No answers saved yet.',
+                'dashboard.offline': 'The server cannot be reached. Open this dashboard from the class server (node server.js).',
+                'dashboard.students': 'Scores per Student',
+                'dashboard.shapes': 'Scores per Solid',
+                'dashboard.recent': 'Latest Answers',
+                'dashboard.student': 'Name',
+                'dashboard.answers': 'Answers',
+                'dashboard.correct': 'Correct',
+                'dashboard.score': 'Score',
+                'dashboard.last': 'Last',
+                'dashboard.shape': 'Solid',
+                'dashboard.time': 'Time',
+                'dashboard.activity': 'Activity',
+                'dashboard.answer': 'Student Answer',
+                'dashboard.yes': 'Yes',
+                'dashboard.no': 'No',
+                'dashboard.quiz': 'Quiz',
+                'dashboard.challenge': 'Challenge',
+                'dashboard.back': 'Back to the app',
+                'dashboard.key': 'Teacher PIN',
+                'dashboard.keyHint': 'See the server console',
+                'dashboard.locked': 'Enter the teacher PIN shown in the server console, then press Refresh.',
+
+                'server.running': '🚀 Server running at:',
+                'server.expressRunning': '🚀 Express server running at:',
+                'server.stopHint': 'Press Ctrl+C to stop the server',
+                'server.portInUse': '❌ Port {port} is already in use. Close the other application using it or change the port in server.js',
+                'server.error': '❌ Server error:',
+                'server.stopped': 'Server stopped',
+                'server.errorPage': 'Something went wrong on the server!',
+                'server.api': '   - API: http://localhost:{port}/api/shapes',
+                'server.dashboard': '   - Teacher dashboard: http://{host}:{port}/dashboard.html',
+                'server.teacherKey': '   - Teacher PIN for the dashboard: {key}',
+
+                'api.unknownShape': 'Unknown shape "{shape}". See /api/shapes.',
+                'api.badJson': 'The request body must be JSON.',
+                'results.student': 'The student name is required.',
+                'results.classCode': 'The class code is required.',
+                'results.shape': 'The shape is required.',
+                'results.correct': '"correct" must be true or false.',
+                'results.file': 'results',
+                'api.notFound': 'No such API address. Use /api/shapes or /api/calc/:shape.',
+                'api.method': 'The API only accepts GET requests, and POST to /api/results.',
+                'api.tooLarge': 'The request body is too large (at most {size} KB).',
+                'api.teacherKey': 'Student results are for teachers only. Send the teacher PIN shown in the server console.'
+            },
+            // Formula subscripts and dimension labels, e.g. t_{miring} -> t_{slant}
+            words: {
+                miring: 'slant',
+                alas: 'base',
+                prisma: 'prism'
+            },
+            // Registry texts by shape type; missing entries stay Indonesian
+            shapes: {
+                cube: {
+                    name: 'Cube',
+                    desc: 'A cube is a solid with flat faces in which every face is a square and every edge has the same length.',
+                    params: { s: 'Side (s)' }
+                },
+                box: {
+                    name: 'Cuboid',
+                    desc: 'A cuboid is a solid with flat faces made up of three pairs of opposite rectangles.',
+                    params: { p: 'Length (p)', l: 'Width (l)', t: 'Height (t)' }
+                },
+                cylinder: {
+                    name: 'Cylinder',
+                    desc: 'A cylinder is a three-dimensional solid bounded by two identical parallel circles.',
+                    params: { r: 'Radius (r)', t: 'Height (t)' }
+                },
+                pyramid: {
+                    name: 'Square Pyramid',
+                    desc: 'A square pyramid is a solid with a square base and triangular lateral faces.',
+                    params: { s: 'Base Side (s)', t: 'Height (t)' }
+                },
+                cone: {
+                    name: 'Cone',
+                    desc: 'A cone is a special pyramid with a circular base.',
+                    params: { r: 'Radius (r)', t: 'Height (t)' }
+                },
+                prism: {
+                    name: 'Isosceles Triangular Prism',
+                    desc: 'A triangular prism is a solid whose base and top are triangles. The base of this prism is an isosceles triangle.',
+                    params: { a: 'Triangle Base (a)', t_alas: 'Triangle Height (ta)', t_prisma: 'Prism Height (tp)' },
+                    variant: 'Isosceles Triangle'
+                },
+                prismRight: {
+                    name: 'Right Triangular Prism',
+                    desc: 'A triangular prism is a solid whose base and top are triangles. The base of this prism is a right triangle with legs a and ta.',
+                    params: { a: 'Triangle Base (a)', t_alas: 'Triangle Height (ta)', t_prisma: 'Prism Height (tp)' },
+                    variant: 'Right Triangle'
+                },
+                prismEquilateral: {
+                    name: 'Equilateral Triangular Prism',
+                    desc: 'A triangular prism is a solid whose base and top are triangles. The base of this prism is an equilateral triangle.',
+                    params: { a: 'Triangle Side (a)', t_prisma: 'Prism Height (tp)' },
+                    variant: 'Equilateral Triangle'
+                },
+                prismScalene: {
+                    name: 'Scalene Triangular Prism',
+                    desc: 'A triangular prism is a solid whose base and top are triangles. The base of this prism is a scalene triangle given by its three sides.',
+                    params: { a: 'Base Side (a)', b: 'Right Side (b)', c: 'Left Side (c)', t_prisma: 'Prism Height (tp)' },
+                    variant: 'Scalene Triangle (three sides)'
+                },
+                regularPrism: {
+                    name: 'Regular n-gon Prism',
+                    desc: 'A regular n-gon prism has a base and a top that are parallel, congruent regular n-gons, and n rectangular lateral faces.',
+                    params: { n: 'Number of Base Sides (n)', s: 'Base Side Length (s)', t: 'Prism Height (t)' }
+                },
+                regularPyramid: {
+                    name: 'Regular n-gon Pyramid',
+                    desc: 'A regular n-gon pyramid has a regular n-gon base and n isosceles triangular faces that meet at the apex.',
+                    params: { n: 'Number of Base Sides (n)', s: 'Base Side Length (s)', t: 'Pyramid Height (t)' }
+                },
+                sphere: {
+                    name: 'Sphere',
+                    desc: 'A sphere is a solid bounded by one curved surface, every point of which is the same distance (r) from the centre.',
+                    params: { r: 'Radius (r)' }
+                },
+                hemisphere: {
+                    name: 'Hemisphere',
+                    desc: 'A hemisphere is a sphere cut exactly through its centre, so it has one curved face and one flat circular face.',
+                    params: { r: 'Radius (r)' }
+                },
+                coneFrustum: {
+                    name: 'Cone Frustum',
+                    desc: 'A cone frustum is a cone with its top cut off parallel to the base, so it has two parallel circles with different radii.',
+                    params: { R: 'Bottom Radius (R)', r: 'Top Radius (r)', t: 'Height (t)' }
+                },
+                pyramidFrustum: {
+                    name: 'Pyramid Frustum',
+                    desc: 'A square pyramid frustum is a pyramid with its top cut off parallel to the base, so its base and top are squares and its lateral faces are trapezoids.',
+                    params: { a: 'Bottom Side (a)', b: 'Top Side (b)', t: 'Height (t)' }
+                }
+            },
+            // Variant group titles and net layout labels, by key
+            variantTitles: {
+                prism: 'Base Type'
+            },
+            nets: {
+                cross: 'Pattern 1-4-1 (cross)',
+                '141a': 'Pattern 1-4-1 (1)',
+                '141b': 'Pattern 1-4-1 (2)',
+                '141c': 'Pattern 1-4-1 (3)',
+                '141d': 'Pattern 1-4-1 (4)',
+                '141e': 'Pattern 1-4-1 (5)',
+                '231a': 'Pattern 2-3-1 (1)',
+                '231b': 'Pattern 2-3-1 (2)',
+                '231c': 'Pattern 2-3-1 (3)',
+                tangga: 'Pattern 2-2-2 (staircase)',
+                '3-3': 'Pattern 3-3',
+                bottom: 'Triangles on the base',
+                opposite: 'Triangles on opposite sides',
+                left: 'Triangles on the left side',
+                mixed: 'Triangles on the base and the right side'
+            }
+        }
+    };
+
+    const DEFAULT_LOCALE = 'id';
+    // Attributes translated from data-i18n-<attribute>, next to data-i18n for text
+    const ATTRIBUTES = ['placeholder', 'aria-label', 'alt', 'title'];
+
+    let locale = DEFAULT_LOCALE;
+    const listeners = [];
+
+    function bundle(code = locale) {
+        return BUNDLES[code] || BUNDLES[DEFAULT_LOCALE];
+    }
+
+    /**
+     * The message `key` in the current language with {placeholders} filled
+     * from `vars`. Missing messages fall back to Indonesian, then to the key.
+     */
+    function t(key, vars) {
+        const messages = bundle().messages;
+        const text = key in messages ? messages[key] : (BUNDLES[DEFAULT_LOCALE].messages[key] || key);
+        if (!vars) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+    }
+
+    function getLocale() {
+        return locale;
+    }
+
+    // Languages to choose from, as [{ code, label }]
+    function locales() {
+        return Object.entries(BUNDLES).map(([code, b]) => ({ code, label: b.label }));
+    }
+
+    /**
+     * Switches the language. In the browser the static page is translated
+     * before the listeners re-render their own texts.
+     */
+    function setLocale(code) {
+        if (!BUNDLES[code] || code === locale) return;
+        locale = code;
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = code;
+            translatePage(document);
+        }
+        listeners.forEach(callback => callback(code));
+    }
+
+    function onLocaleChange(callback) {
+        listeners.push(callback);
+    }
+
+    // ===================== NUMBERS =====================
+
+    /**
+     * A number as text with the language's decimal separator, unrounded.
+     */
+    function number(value) {
+        return String(value).replace('.', bundle().decimal);
+    }
+
+    /**
+     * Two decimals, or three significant digits for small values (e.g. m³).
+     */
+    function formatNumber(value) {
+        const v = parseFloat(value);
+        return number(Math.abs(v) >= 1 || v === 0 ? v.toFixed(2) : String(Number(v.toPrecision(3))));
+    }
+
+    // ===================== SHAPE TEXTS =====================
+
+    /**
+     * Translations of the registry's shape texts ({ shapes, variantTitles,
+     * nets }); empty for Indonesian, the language they are written in.
+     */
+    function shapeTexts(code = locale) {
+        const b = bundle(code);
+        return { shapes: b.shapes || {}, variantTitles: b.variantTitles || {}, nets: b.nets || {} };
+    }
+
+    /**
+     * Translates the words in a symbol or label: t_{miring} -> t_{slant} and
+     * "t miring" -> "t slant" in English.
+     */
+    function localizeSymbol(text) {
+        const words = bundle().words || {};
+        return text
+            .replace(/_\{(\w+)\}/g, (match, word) => (words[word] ? `_{${words[word]}}` : match))
+            .replace(/ (\w+)$/, (match, word) => (words[word] ? ` ${words[word]}` : match));
+    }
+
+    // ===================== PAGE =====================
+
+    /**
+     * Fills every element marked data-i18n (text) or data-i18n-<attribute>
+     * under `root` from the current language.
+     */
+    function translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        ATTRIBUTES.forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+                el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    /**
+     * Sets an element's text to a message and marks it, so a later language
+     * switch translates it again (e.g. a button that reads "Tutup ..." while on).
+     */
+    function setText(el, key) {
+        el.dataset.i18n = key;
+        el.textContent = t(key);
+    }
+
+    return {
+        t,
+        getLocale,
+        setLocale,
+        locales,
+        onLocaleChange,
+        number,
+        formatNumber,
+        shapeTexts,
+        localizeSymbol,
+        translatePage,
+        setText
+    };
+});
@@ -3,32 +3,103 @@
  * Main application entry point.
  */
 
-// Wait for Three.js and OrbitControls to be loaded from CDN
-function checkDependencies() {
-    // Check if both THREE and OrbitControls are available globally
-    if (typeof THREE !== 'undefined' && typeof THREE.OrbitControls !== 'undefined') {
-        initApp();
+const DEPENDENCY_TIMEOUT_MS = 10000; // give up on missing libraries after this long
+const LANGUAGE_KEY = 'mathspace-language'; // shared with ui.js, which is not started on an error
+
+let startupError = null; // { key, vars } of the error screen shown
+
+// Libraries that have not loaded yet, by name
+function missingDependencies() {
+    const missing = [];
+    if (typeof THREE === 'undefined') missing.push('three.js');
+    else if (typeof THREE.OrbitControls === 'undefined') missing.push('OrbitControls');
+    return missing;
+}
+
+// Wait for Three.js and OrbitControls (served from /vendor/ by server.js)
+function checkDependencies(started = Date.now()) {
+    const missing = missingDependencies();
+    if (!missing.length) {
+        if (webglAvailable()) initApp();
+        else showStartupError('startup.webgl');
+    } else if (Date.now() - started > DEPENDENCY_TIMEOUT_MS) {
+        showStartupError('startup.dependency', { names: missing.join(', ') });
     } else {
         // Check again after a short delay
-        setTimeout(checkDependencies, 100);
+        setTimeout(() => checkDependencies(started), 100);
+    }
+}
+
+function webglAvailable() {
+    try {
+        const canvas = document.createElement('canvas');
+        return !!(window.WebGLRenderingContext && (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Replaces the app with an error screen explaining what is missing, in the
+ * saved language.
+ */
+function showStartupError(key, vars) {
+    const screen = document.getElementById('startup-error');
+    if (!startupError) {
+        try {
+            const language = window.localStorage.getItem(LANGUAGE_KEY);
+            if (language) window.I18n.setLocale(language);
+        } catch (e) {
+            // Default language
+        }
+        window.I18n.onLocaleChange(() => showStartupError(startupError.key, startupError.vars));
+        document.getElementById('startup-retry').addEventListener('click', () => window.location.reload());
     }
+    startupError = { key, vars };
+    document.getElementById('startup-error-message').textContent = window.I18n.t(key, vars);
+    document.querySelector('main.container').hidden = true;
+    screen.hidden = false;
+}
+
+// Cache the app for offline use; service workers need localhost or HTTPS
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register('sw.js').catch(() => {
+        // The app still works, only not offline
+    });
 }
 
 /**
  * Initializes the application once all dependencies are loaded.
  */
 function initApp() {
-    // 1. Initialize the 3D scene
-    window.SceneManager.initScene();
+    // 1. Initialize the 3D scene (WebGLRenderer throws when no context can be created)
+    try {
+        window.SceneManager.initScene();
+    } catch (e) {
+        showStartupError('startup.webgl');
+        return;
+    }
 
-    // 2. Initialize the UI and event listeners
+    // 2. Initialize the UI and event listeners (initScene already shows Kubus)
     window.UIManager.initUI();
 
-    // 3. Load the default shape (Kubus)
-    // This is already handled inside UIManager.initUI -> renderParameters/renderResults -> updateShapeAndCalculations
-    // Calling it again here ensures the initial state is fully set up.
-    window.UIManager.updateShapeAndCalculations();
+    // 3. Wire up the class results, the net challenge, the quiz, the cross-section
+    //    tool, compare mode, the pour demo and the unit cubes
+    window.Classroom.initClassroom();
+    window.NetChallenge.initChallenge();
+    window.QuizManager.initQuiz();
+    window.CrossSection.initCrossSection();
+    window.CompareMode.initCompare();
+    window.PourDemo.initPour();
+    window.UnitCubes.initUnitCubes();
+
+    // 4. Restore a shared link from the URL hash and keep the hash up to date
+    window.Permalink.initPermalink();
 }
 
 // Start checking for dependencies once the DOM is ready
-document.addEventListener('DOMContentLoaded', checkDependencies);
+document.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
+    checkDependencies();
+});
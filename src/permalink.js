@@ -0,0 +1,128 @@
+/**
+ * src/permalink.js
+ * Shareable links: the shape, its values, unit, fold, net layout and camera
+ * are kept in the URL hash, e.g.
+ *   #shape=cone&r=4&t=9&mode=net&fold=0&cam=25,25,25,0,0,0
+ * Lengths in the hash are always in cm, whatever unit is selected.
+ */
+
+const Permalink = (function () {
+    const WRITE_DELAY = 300; // ms, so fold animations and camera drags don't flood the history API
+    const MAX_CAMERA_DISTANCE = 500; // scene units; the camera's far plane is 1000
+    const UNITS = ['mm', 'cm', 'm'];
+
+    let writeTimer = null;
+    let lastHash = '';
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    function encode(state, camera) {
+        const pairs = [['shape', state.shape]];
+        Object.entries(state.params).forEach(([key, value]) => pairs.push([key, round(value)]));
+        if (state.unit !== 'cm') pairs.push(['unit', state.unit]);
+        pairs.push(['mode', state.mode]);
+        if (state.mode === 'net') pairs.push(['fold', round(state.fold)]);
+        if (state.netKey) pairs.push(['net', state.netKey]);
+        // Commas are left unescaped so the link stays readable
+        if (camera) pairs.push(['cam', camera.position.concat(camera.target).map(round).join(',')]);
+        return `#${pairs.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`).join('&')}`;
+    }
+
+    function parseNumber(text) {
+        if (text === null || text.trim() === '') return null;
+        const value = Number(text);
+        return isFinite(value) ? value : null;
+    }
+
+    /**
+     * Reads a hash back into { state, camera }. Anything missing or out of range
+     * falls back to the defaults; returns null when there is no valid shape.
+     */
+    function decode(hash) {
+        const R = window.ShapeRegistry;
+        const query = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const shape = query.get('shape');
+        if (!shape || !R.get(shape)) return null;
+
+        const defaults = R.defaultParams(shape);
+        const params = {};
+        Object.keys(defaults).forEach((key) => {
+            const value = parseNumber(query.get(key));
+            params[key] = value === null ? defaults[key] : value;
+        });
+        const valid = !R.validate(shape, params);
+
+        const netKeys = R.netLayouts(shape).map(layout => layout.key);
+        const netKey = netKeys.includes(query.get('net')) ? query.get('net') : undefined;
+        const unit = UNITS.includes(query.get('unit')) ? query.get('unit') : 'cm';
+
+        // A net is open (fold below 1); a closed net is the solid
+        const fold = parseNumber(query.get('fold'));
+        const mode = query.get('mode') === 'net' && (fold === null || fold < 1) ? 'net' : 'solid';
+
+        let camera = null;
+        const cam = (query.get('cam') || '').split(',').map(parseNumber);
+        if (cam.length === 6 && cam.every(value => value !== null && Math.abs(value) <= MAX_CAMERA_DISTANCE)) {
+            camera = { position: cam.slice(0, 3), target: cam.slice(3) };
+        }
+
+        return {
+            state: {
+                shape,
+                params: valid ? params : defaults,
+                unit,
+                mode,
+                fold: mode === 'net' ? Math.max(0, fold || 0) : 1,
+                netKey
+            },
+            camera
+        };
+    }
+
+    function apply(hash) {
+        const link = decode(hash);
+        if (!link) return false;
+        window.UIManager.applyState(link.state);
+        if (link.camera) window.SceneManager.setCameraState(link.camera);
+        return true;
+    }
+
+    function write() {
+        writeTimer = null;
+        lastHash = encode(window.UIManager.getState(), window.SceneManager.getCameraState());
+        if (window.location.hash !== lastHash) {
+            // replaceState: following the shape around shouldn't fill the back button
+            window.history.replaceState(null, '', lastHash);
+        }
+    }
+
+    function scheduleWrite() {
+        clearTimeout(writeTimer);
+        writeTimer = setTimeout(write, WRITE_DELAY);
+    }
+
+    /**
+     * Restores the state from the hash (if it holds a valid link), then keeps the
+     * hash in sync with the UI and camera. Links pasted into the address bar of
+     * an open tab are applied too.
+     */
+    function initPermalink() {
+        apply(window.location.hash);
+        window.UIManager.onChange(scheduleWrite);
+        window.SceneManager.onCameraChange(scheduleWrite);
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash !== lastHash) apply(window.location.hash);
+        });
+        scheduleWrite();
+    }
+
+    return {
+        encode,
+        decode,
+        initPermalink
+    };
+})();
+
+window.Permalink = Permalink;
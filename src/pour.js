@@ -0,0 +1,332 @@
+/**
+ * src/pour.js
+ * "Isi Air" demo: water fills a transparent solid at a constant rate, or is
+ * poured from one container into another (a cone into a cylinder three times,
+ * a pyramid into a prism), with the water level and volume shown live.
+ * Volume grows linearly with time, so the level of a cone or a sphere rises
+ * unevenly; the level for a volume comes from the areas of horizontal slices.
+ */
+
+const PourDemo = (function () {
+    const WATER_COLOR = 0x2e86de;
+    const FILL_DURATION = 3000; // ms to fill or empty one container
+    const SAMPLES = 60; // horizontal slices per container for the volume table
+    const GAP = 3; // scene units between the two containers
+    const EDGE = 1e-6; // keeps the water surface just inside the solid
+
+    const DEMOS = {
+        fill: {
+            label: 'pour.fill'
+        },
+        coneCylinder: {
+            label: 'pour.coneCylinder',
+            pours: 3,
+            containers(state) {
+                const p = ['cone', 'cylinder'].includes(state.shape) ? state.params : window.ShapeRegistry.defaultParams('cone');
+                return [['cone', { r: p.r, t: p.t }], ['cylinder', { r: p.r, t: p.t }]];
+            }
+        },
+        pyramidPrism: {
+            label: 'pour.pyramidPrism',
+            pours: 3,
+            containers(state) {
+                const p = state.shape === 'pyramid' ? state.params : window.ShapeRegistry.defaultParams('pyramid');
+                return [['pyramid', { s: p.s, t: p.t }], ['box', { p: p.s, l: p.s, t: p.t }]];
+            }
+        }
+    };
+
+    let active = false;
+    let demo = 'fill';
+    let containers = []; // [container] to fill, or [source, target] to pour
+    let group = null;
+    let stream = null;
+    let elapsed = 0; // ms of demo time played
+    let playing = false;
+    let frame = null;
+    let lastTime = 0;
+    let panel, toggleBtn, demoSelect, playBtn, resetBtn, infoBox;
+
+    /**
+     * Cumulative volume below each of SAMPLES + 1 evenly spaced heights, from
+     * the areas of slices through the middle of each layer.
+     */
+    function volumeTable(geometry, height) {
+        const layer = height / SAMPLES;
+        const table = [0];
+        for (let i = 0; i < SAMPLES; i++) {
+            const outline = window.CrossSection.slice(geometry, (i + 0.5) * layer);
+            table.push(table[i] + window.CrossSection.polygonArea(outline) * layer);
+        }
+        return table;
+    }
+
+    // Water level (height) holding `fraction` of the container's volume
+    function levelFor(container, fraction) {
+        const { table, height } = container;
+        const target = fraction * table[SAMPLES];
+        let i = 0;
+        while (i < SAMPLES - 1 && table[i + 1] < target) i++;
+        const layer = table[i + 1] - table[i];
+        const k = layer > 0 ? (target - table[i]) / layer : 0;
+        return Math.min(height, Math.max(0, ((i + k) * height) / SAMPLES));
+    }
+
+    /**
+     * A transparent solid with a water body inside: the same geometry clipped
+     * at the water level and closed by the slice at that height.
+     */
+    function createContainer(type, params) {
+        const shape = window.ShapeRegistry.get(type);
+        const geometry = shape.solid(params);
+        geometry.computeBoundingBox();
+        const mesh = window.SceneManager.createMesh(geometry, shape.color, shape.smooth);
+        mesh.material.opacity = 0.25;
+        mesh.material.depthWrite = false;
+
+        // Keeps y <= level; the containers stand on the ground, so world y is their height
+        const clip = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
+        const water = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: WATER_COLOR,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.6,
+            clippingPlanes: [clip]
+        }));
+        mesh.add(water);
+
+        return {
+            type,
+            name: shape.name,
+            volume: window.ShapeRegistry.calculate(type, params).volume,
+            height: geometry.boundingBox.max.y,
+            table: volumeTable(geometry, geometry.boundingBox.max.y),
+            geometry,
+            mesh,
+            water,
+            clip,
+            surface: null,
+            fraction: 0,
+            level: 0
+        };
+    }
+
+    function setFraction(container, fraction) {
+        const c = container;
+        c.fraction = Math.min(1, Math.max(0, fraction));
+        c.level = levelFor(c, c.fraction);
+        c.clip.constant = c.level;
+        c.water.visible = c.fraction > 0;
+
+        if (c.surface) {
+            c.mesh.remove(c.surface);
+            window.SceneManager.disposeObject(c.surface);
+            c.surface = null;
+        }
+        if (c.fraction <= 0) return;
+        const y = Math.min(c.height - EDGE, Math.max(EDGE, c.level));
+        const outline = window.CrossSection.slice(c.geometry, y);
+        if (outline.length < 3) return;
+        c.surface = new THREE.Mesh(
+            new THREE.ShapeGeometry(new THREE.Shape(outline.map(([x, z]) => new THREE.Vector2(x, z)))),
+            new THREE.MeshStandardMaterial({ color: WATER_COLOR, side: THREE.DoubleSide, transparent: true, opacity: 0.8 })
+        );
+        c.surface.rotation.x = -Math.PI / 2;
+        c.surface.position.y = y;
+        c.mesh.add(c.surface);
+    }
+
+    // The jet of water from the source's top to the target's water surface
+    function updateStream(show) {
+        if (stream) {
+            group.remove(stream);
+            window.SceneManager.disposeObject(stream);
+            stream = null;
+        }
+        if (!show) return;
+        const [source, target] = containers;
+        const from = new THREE.Vector3(source.mesh.position.x, source.height, 0);
+        const to = new THREE.Vector3(target.mesh.position.x, target.level, 0);
+        const top = Math.max(source.height, target.height) + 2;
+        const curve = new THREE.QuadraticBezierCurve3(from, new THREE.Vector3(to.x, top, 0), to);
+        stream = new THREE.Mesh(
+            new THREE.TubeGeometry(curve, 24, 0.15, 8, false),
+            new THREE.MeshStandardMaterial({ color: WATER_COLOR, transparent: true, opacity: 0.7 })
+        );
+        group.add(stream);
+    }
+
+    function describe(container) {
+        const R = window.UIManager;
+        const volume = container.fraction * container.volume;
+        return window.I18n.t('pour.water', {
+            name: container.name,
+            level: R.formatMeasure(container.level),
+            volume: R.formatMeasure(volume, 3),
+            millilitres: window.I18n.number(volume.toFixed(1))
+        });
+    }
+
+    /**
+     * Sets every water level for the demo time `elapsed`. Filling a container
+     * takes FILL_DURATION; each pour is a fill of the source followed by
+     * emptying it into the target.
+     */
+    function render() {
+        const config = DEMOS[demo];
+        const { t: text } = window.I18n;
+        const k = Math.min(1, elapsed / FILL_DURATION);
+        window.SceneManager.requestRender();
+        if (containers.length === 1) {
+            setFraction(containers[0], k);
+            infoBox.innerHTML = describe(containers[0]) + (k === 1 ? `<br>${text('common.full')}` : '');
+            return elapsed >= FILL_DURATION;
+        }
+
+        const [source, target] = containers;
+        const share = source.volume / target.volume; // of the target per pour
+        const cycle = 2 * FILL_DURATION;
+        const done = elapsed >= config.pours * cycle;
+        const count = done ? config.pours : Math.floor(elapsed / cycle);
+        const t = done ? cycle : elapsed - count * cycle;
+        const pouring = t > FILL_DURATION;
+        const poured = pouring ? (t - FILL_DURATION) / FILL_DURATION : 0;
+        setFraction(source, pouring ? 1 - poured : t / FILL_DURATION);
+        setFraction(target, (done ? config.pours : count + poured) * share);
+        updateStream(pouring && !done && target.fraction < 1);
+
+        const names = {
+            source: source.name.toLowerCase(),
+            target: target.name.toLowerCase(),
+            Target: target.name,
+            count: config.pours
+        };
+        let status = done ? text('pour.done', names) : `${text('pour.step', { n: count + 1, count: config.pours })} ` +
+            text(pouring ? 'pour.pouring' : 'pour.filling', names);
+        if (done && Math.abs(config.pours * share - 1) < 1e-6) {
+            status += ` ${text('pour.ratio', names)}`;
+        } else if (config.pours * share > 1 && target.fraction === 1) {
+            status += ` ${text('pour.spilled', names)}`;
+        }
+        infoBox.innerHTML = `${describe(source)}<br>${describe(target)}<br>${status}`;
+        return done;
+    }
+
+    function stopAnimation() {
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+    }
+
+    function setPlaying(value) {
+        playing = value;
+        window.I18n.setText(playBtn, playing ? 'common.pause' : 'common.play');
+        stopAnimation();
+        if (!playing) return;
+        lastTime = performance.now();
+        const step = (now) => {
+            elapsed += now - lastTime;
+            lastTime = now;
+            if (render()) {
+                setPlaying(false);
+                return;
+            }
+            frame = requestAnimationFrame(step);
+        };
+        frame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Builds the containers for the chosen demo from the current shape's
+     * values and shows them (empty) in place of the shape.
+     */
+    function build() {
+        setPlaying(false);
+        elapsed = 0;
+        stream = null;
+        containers.forEach(c => c.geometry.dispose());
+        containers = [];
+        const state = window.UIManager.getState();
+        const config = DEMOS[demo];
+        if (!config.containers && window.ShapeRegistry.validate(state.shape, state.params)) {
+            infoBox.textContent = window.I18n.t('pour.invalid');
+            return;
+        }
+        const pairs = config.containers ? config.containers(state) : [[state.shape, state.params]];
+        containers = pairs.map(([type, params]) => createContainer(type, params));
+
+        // Side by side in a row centred on the origin
+        group = new THREE.Group();
+        let x = 0;
+        containers.forEach((c) => {
+            const box = c.geometry.boundingBox;
+            c.mesh.position.x = x - box.min.x;
+            x += box.max.x - box.min.x + GAP;
+            group.add(c.mesh);
+        });
+        const width = x - GAP;
+        containers.forEach((c) => { c.mesh.position.x -= width / 2; });
+        window.SceneManager.showObject(group);
+        render();
+    }
+
+    function start() {
+        active = true;
+        panel.hidden = false;
+        window.I18n.setText(toggleBtn, 'pour.close');
+        toggleBtn.classList.add('active');
+        build();
+    }
+
+    function stop() {
+        active = false;
+        setPlaying(false);
+        panel.hidden = true;
+        window.I18n.setText(toggleBtn, 'pour.open');
+        toggleBtn.classList.remove('active');
+        containers.forEach(c => c.geometry.dispose());
+        containers = [];
+        group = null;
+        window.UIManager.reloadCurrentShape();
+    }
+
+    function renderDemos() {
+        demoSelect.innerHTML = Object.entries(DEMOS)
+            .map(([key, config]) => `<option value="${key}">${window.I18n.t(config.label)}</option>`)
+            .join('');
+        demoSelect.value = demo;
+    }
+
+    function initPour() {
+        panel = document.getElementById('pour-panel');
+        toggleBtn = document.getElementById('pour-btn');
+        demoSelect = document.getElementById('pour-demo');
+        playBtn = document.getElementById('pour-play-btn');
+        resetBtn = document.getElementById('pour-reset-btn');
+        infoBox = document.getElementById('pour-info');
+        if (!panel || !toggleBtn) return;
+
+        renderDemos();
+        toggleBtn.addEventListener('click', () => (active ? stop() : start()));
+        demoSelect.addEventListener('change', (e) => {
+            demo = e.target.value;
+            build();
+        });
+        playBtn.addEventListener('click', () => {
+            // Playing a finished demo starts it over
+            if (!playing && render()) build();
+            setPlaying(!playing);
+        });
+        resetBtn.addEventListener('click', build);
+        // A new shape or new values rebuild the containers from scratch
+        window.UIManager.onChange(() => {
+            if (active) build();
+        });
+        window.I18n.onLocaleChange(renderDemos);
+    }
+
+    return {
+        initPour
+    };
+})();
+
+window.PourDemo = PourDemo;
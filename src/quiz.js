@@ -0,0 +1,346 @@
+/**
+ * src/quiz.js
+ * Quiz mode: random questions generated from the shape registry, numeric
+ * answers checked with a tolerance, score and streaks for the session, and the
+ * worked solution shown in the formula panel afterwards. Values and answers
+ * are in the unit chosen when the question is asked, like the solution.
+ */
+
+const QuizManager = (function () {
+    const TOLERANCE = 0.01; // relative, so answers worked out with π ≈ 3,14 still count
+    const KINDS = ['volume', 'surfaceArea', 'dimension', 'net'];
+
+    // Hexominoes that do not fold into a cube, as grid rows like the cube nets
+    const NOT_CUBE_NETS = [
+        ['XXXXXX'],
+        ['XXXXX', 'X....'],
+        ['XXX', 'XXX'],
+        ['.XX.', 'XXXX'],
+        ['X..X', 'XXXX'],
+        ['XX..', 'XXXX'],
+        ['XX.', '.XX', '.XX'],
+        ['X...', 'XXX.', '.XX.']
+    ];
+
+    let active = false;
+    let question = null;
+    let score = { correct: 0, total: 0, streak: 0, best: 0 };
+    let feedback = null; // { key, kind, answers } of the feedback shown
+    let panel, toggleBtn, questionBox, optionsBox, answerRow, answerInput, answerBtn, nextBtn, feedbackBox, scoreBox;
+
+    function randomInt(min, max) {
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+
+    function pick(list) {
+        return list[Math.floor(Math.random() * list.length)];
+    }
+
+    function shuffle(list) {
+        const copy = list.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    // Two decimals, or three significant digits for small values (e.g. m³)
+    function formatNumber(value) {
+        const rounded = Math.abs(value) >= 1 ? Math.round(value * 100) / 100 : Number(value.toPrecision(3));
+        return window.I18n.number(rounded);
+    }
+
+    // The length unit on screen and how many of it make one cm
+    function currentUnits() {
+        return { unit: window.UIManager.getState().unit, scale: window.UIManager.unitScale() };
+    }
+
+    // A value already in `units`, labelled: power 1 for lengths, 2 areas, 3 volumes
+    function withUnit(value, units, power = 1) {
+        return `${formatNumber(value)} ${units.unit}${['', '', '²', '³'][power]}`;
+    }
+
+    function parseAnswer(text) {
+        const value = parseFloat(String(text).trim().replace(',', '.'));
+        return isFinite(value) ? value : null;
+    }
+
+    /**
+     * Whole-number parameter values within each range that pass the shape's own
+     * checks, or null if none were found.
+     */
+    function randomParams(type) {
+        const shape = window.ShapeRegistry.get(type);
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const params = {};
+            Object.entries(shape.params).forEach(([key, param]) => {
+                params[key] = randomInt(Math.ceil(param.min), Math.floor(param.max));
+            });
+            if (!window.ShapeRegistry.validate(type, params)) return params;
+        }
+        return null;
+    }
+
+    // Parameters are in cm; they are written in `units`
+    function describeParams(type, params, units, skip) {
+        const shape = window.ShapeRegistry.get(type);
+        return Object.entries(shape.params)
+            .filter(([key]) => key !== skip)
+            .map(([key, param]) => `${param.label} = ${param.unitless
+                ? formatNumber(params[key])
+                : withUnit(params[key] * units.scale, units)}`)
+            .join(', ');
+    }
+
+    // Grid rows -> square polygons, the same point format as net layouts
+    function rowsToFaces(rows) {
+        const faces = [];
+        rows.forEach((row, r) => {
+            row.split('').forEach((ch, c) => {
+                if (ch !== '.') faces.push({ points: [[c, r], [c + 1, r], [c + 1, r + 1], [c, r + 1]] });
+            });
+        });
+        return faces;
+    }
+
+    function facesToSvg(faces) {
+        const xs = faces.flatMap(f => f.points.map(p => p[0]));
+        const ys = faces.flatMap(f => f.points.map(p => p[1]));
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const polygons = faces
+            .map(f => `<polygon points="${f.points.map(p => `${p[0] - minX},${p[1] - minY}`).join(' ')}"/>`)
+            .join('');
+        return `<svg viewBox="-0.1 -0.1 ${width + 0.2} ${height + 0.2}" class="quiz-net">${polygons}</svg>`;
+    }
+
+    // Question texts are functions, so a language switch can render them again
+    function numericQuestion(kind) {
+        const R = window.ShapeRegistry;
+        const { t } = window.I18n;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const type = pick(R.types());
+            const shape = R.get(type);
+            const params = randomParams(type);
+            if (!params) continue;
+            const result = R.calculate(type, params);
+            const units = currentUnits();
+            const f = units.scale;
+
+            if (kind === 'dimension') {
+                const keys = Object.keys(shape.params).filter(key => !shape.params[key].integer);
+                const key = pick(keys);
+                // Another value may give the same volume (a side of a scalene base)
+                const others = R.solveAll(type, 'volume', result.volume, params, key)
+                    .filter(x => Math.abs(x - params[key]) > TOLERANCE * params[key]);
+                return {
+                    kind, type, params, units,
+                    power: 1,
+                    text: () => {
+                        const others = describeParams(type, params, units, key);
+                        return t('quiz.findDimension', {
+                            name: shape.name.toLowerCase(),
+                            volume: withUnit(result.volume * f * f * f, units, 3),
+                            others: others ? t('quiz.and', { list: others }) : '',
+                            label: shape.params[key].label
+                        });
+                    },
+                    answers: [params[key]].concat(others).sort((a, b) => a - b).map(x => x * f)
+                };
+            }
+
+            return {
+                kind, type, params, units,
+                power: kind === 'volume' ? 3 : 2,
+                text: () => t(kind === 'volume' ? 'quiz.findVolume' : 'quiz.findSurfaceArea', {
+                    name: shape.name.toLowerCase(),
+                    params: describeParams(type, params, units)
+                }),
+                answers: [kind === 'volume' ? result.volume * f * f * f : result.surfaceArea * f * f]
+            };
+        }
+        return null;
+    }
+
+    function netQuestion() {
+        const R = window.ShapeRegistry;
+        const valid = pick(R.netLayouts('cube'));
+        const params = R.defaultParams('cube');
+        const options = shuffle([
+            { correct: true, faces: R.netLayout('cube', { s: 1 }, valid.key).faces },
+            ...shuffle(NOT_CUBE_NETS).slice(0, 3).map(rows => ({ correct: false, faces: rowsToFaces(rows) }))
+        ]);
+        return {
+            kind: 'net',
+            type: 'cube',
+            params,
+            netKey: valid.key,
+            text: () => window.I18n.t('quiz.findNet'),
+            options
+        };
+    }
+
+    function renderScore() {
+        if (!scoreBox) return;
+        scoreBox.textContent = window.I18n.t('quiz.score', score);
+    }
+
+    // Every accepted answer, e.g. "4 cm atau 6,5 cm"
+    function answersText(answers) {
+        return answers.map(a => withUnit(a, question.units, question.power)).join(window.I18n.t('quiz.or'));
+    }
+
+    function showFeedback(key, kind, answers) {
+        feedback = key ? { key, kind, answers } : null;
+        const text = answers === undefined ? '' : answersText(answers);
+        feedbackBox.textContent = key ? window.I18n.t(key, { answer: text }) : '';
+        feedbackBox.className = `quiz-feedback ${kind || ''}`.trim();
+    }
+
+    function nextQuestion() {
+        const kind = pick(KINDS);
+        question = kind === 'net' ? netQuestion() : numericQuestion(kind);
+        if (!question) return;
+        question.answered = false;
+
+        questionBox.textContent = question.text();
+        showFeedback(null);
+        nextBtn.hidden = true;
+
+        if (question.options) {
+            answerRow.hidden = true;
+            optionsBox.hidden = false;
+            optionsBox.innerHTML = '';
+            question.options.forEach((option, i) => {
+                const btn = document.createElement('button');
+                btn.className = 'quiz-option';
+                btn.innerHTML = facesToSvg(option.faces);
+                btn.setAttribute('aria-label', window.I18n.t('quiz.option', { n: i + 1 }));
+                btn.addEventListener('click', () => answer(option.correct, btn, i + 1));
+                optionsBox.appendChild(btn);
+            });
+        } else {
+            optionsBox.hidden = true;
+            answerRow.hidden = false;
+            answerInput.value = '';
+            answerInput.focus();
+        }
+    }
+
+    function isCorrect(value) {
+        return question.answers.some(a => Math.abs(value - a) <= TOLERANCE * Math.abs(a));
+    }
+
+    /**
+     * Scores the answer, then shows the worked solution in the formula panel.
+     * @param {boolean} correct
+     * @param {HTMLElement} [chosen] - The picked option, for multiple choice.
+     * @param {number|string} given - The option number or the typed answer.
+     */
+    function answer(correct, chosen, given) {
+        if (!question || question.answered) return;
+        question.answered = true;
+
+        score.total++;
+        if (correct) {
+            score.correct++;
+            score.streak++;
+            score.best = Math.max(score.best, score.streak);
+        } else {
+            score.streak = 0;
+        }
+        renderScore();
+
+        if (question.options) {
+            Array.from(optionsBox.children).forEach((btn, i) => {
+                btn.disabled = true;
+                if (question.options[i].correct) btn.classList.add('correct');
+            });
+            if (!correct && chosen) chosen.classList.add('wrong');
+            showFeedback(correct ? 'quiz.netCorrect' : 'quiz.netWrong', correct ? 'correct' : 'wrong');
+        } else {
+            showFeedback(correct ? 'quiz.correct' : 'quiz.wrong', correct ? 'correct' : 'wrong', question.answers);
+        }
+        nextBtn.hidden = false;
+
+        // Stored for the teacher when the student gave a name and class code
+        window.Classroom.submit({
+            activity: 'quiz',
+            shape: question.type,
+            question: question.text(),
+            answer: String(given),
+            expected: question.options
+                ? String(question.options.findIndex(option => option.correct) + 1)
+                : answersText(question.answers),
+            correct
+        });
+
+        window.UIManager.showSolution(question.type, question.params, question.netKey);
+    }
+
+    function submitNumber() {
+        if (!question || question.answered || question.options) return;
+        const value = parseAnswer(answerInput.value);
+        if (value === null) {
+            showFeedback('quiz.notNumber', 'wrong');
+            return;
+        }
+        answer(isCorrect(value), null, answerInput.value.trim());
+    }
+
+    function start() {
+        active = true;
+        panel.hidden = false;
+        window.I18n.setText(toggleBtn, 'quiz.close');
+        toggleBtn.classList.add('active');
+        renderScore();
+        nextQuestion();
+    }
+
+    function stop() {
+        active = false;
+        question = null;
+        panel.hidden = true;
+        window.I18n.setText(toggleBtn, 'quiz.open');
+        toggleBtn.classList.remove('active');
+    }
+
+    function initQuiz() {
+        panel = document.getElementById('quiz-panel');
+        toggleBtn = document.getElementById('quiz-btn');
+        scoreBox = document.getElementById('quiz-score');
+        questionBox = document.getElementById('quiz-question');
+        optionsBox = document.getElementById('quiz-options');
+        answerRow = document.getElementById('quiz-answer-row');
+        answerInput = document.getElementById('quiz-answer');
+        answerBtn = document.getElementById('quiz-answer-btn');
+        nextBtn = document.getElementById('quiz-next-btn');
+        feedbackBox = document.getElementById('quiz-feedback');
+        if (!panel || !toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => (active ? stop() : start()));
+        answerBtn.addEventListener('click', submitNumber);
+        answerInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submitNumber();
+        });
+        nextBtn.addEventListener('click', nextQuestion);
+        window.I18n.onLocaleChange(() => {
+            if (!active) return;
+            renderScore();
+            if (question) questionBox.textContent = question.text();
+            if (feedback) showFeedback(feedback.key, feedback.kind, feedback.answers);
+            Array.from(optionsBox.children).forEach((btn, i) => {
+                btn.setAttribute('aria-label', window.I18n.t('quiz.option', { n: i + 1 }));
+            });
+        });
+    }
+
+    return {
+        initQuiz
+    };
+})();
+
+window.QuizManager = QuizManager;
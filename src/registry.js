@@ -0,0 +1,1602 @@
+/**
+ * src/registry.js
+ * Single source of truth for every shape: parameters and ranges, volume and
+ * surface area, LaTeX formulas, the solid geometry and the net layout.
+ * Loaded as a plain script in the browser (window.ShapeRegistry) and with
+ * require() in Node, so it must not touch the DOM. Solid factories use the
+ * global THREE: the page's script in the browser, the three package in the
+ * Node tests (test/). Texts are written in Indonesian and follow the language
+ * chosen in I18n (src/i18n.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n'));
+    } else {
+        root.ShapeRegistry = factory(root.I18n);
+    }
+})(typeof self !== 'undefined' ? self : this, function (I18n) {
+    // ===================== NET LAYOUTS =====================
+    // A net layout is a tree of faces lying flat on the ground. Layout points
+    // [x, y] map to scene coordinates (x, 0, y). Every face except the root hangs
+    // from its parent along `hinge` and has turned by `angle` radians once the
+    // net is fully closed (fold = 1). Curved faces carry a `bend` description
+    // that rolls them up as they fold.
+
+    const RIGHT_ANGLE = Math.PI / 2;
+
+    function rectPoints(x1, y1, x2, y2) {
+        return [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+    }
+
+    function circlePoints(cx, cy, r, segments = 64) {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const a = (i / segments) * Math.PI * 2;
+            points.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+        }
+        return points;
+    }
+
+    // The 11 distinct cube nets as grid patterns. Rows run along +y in layout
+    // space and 'O' marks the bottom face the net is rolled out from.
+    const CUBE_NETS = [
+        { key: 'cross', label: 'Pola 1-4-1 (salib)', rows: ['.X..', 'XOXX', '.X..'] },
+        { key: '141a', label: 'Pola 1-4-1 (1)', rows: ['X...', 'OXXX', 'X...'] },
+        { key: '141b', label: 'Pola 1-4-1 (2)', rows: ['X...', 'OXXX', '.X..'] },
+        { key: '141c', label: 'Pola 1-4-1 (3)', rows: ['X...', 'OXXX', '..X.'] },
+        { key: '141d', label: 'Pola 1-4-1 (4)', rows: ['X...', 'OXXX', '...X'] },
+        { key: '141e', label: 'Pola 1-4-1 (5)', rows: ['.X..', 'XOXX', '..X.'] },
+        { key: '231a', label: 'Pola 2-3-1 (1)', rows: ['XX..', '.OXX', '.X..'] },
+        { key: '231b', label: 'Pola 2-3-1 (2)', rows: ['XX..', '.OXX', '..X.'] },
+        { key: '231c', label: 'Pola 2-3-1 (3)', rows: ['XX..', '.OXX', '...X'] },
+        { key: 'tangga', label: 'Pola 2-2-2 (tangga)', rows: ['XX..', '.OX.', '..XX'] },
+        { key: '3-3', label: 'Pola 3-3', rows: ['XXX..', '..OXX'] }
+    ];
+
+    /**
+     * Grid Net: unfolds a box by rolling it over its edges, one grid step per
+     * face, starting from the bottom cell. dims = [x, height, y] extents of the
+     * box, so a pattern valid for the cube also works for any box.
+     */
+    function netLayoutRolled(rows, dims) {
+        const cells = {};
+        rows.forEach((row, r) => {
+            row.split('').forEach((ch, c) => {
+                if (ch !== '.') cells[`${r},${c}`] = ch;
+            });
+        });
+        const start = Object.keys(cells).find((key) => cells[key] === 'O');
+        const [r0, c0] = start.split(',').map(Number);
+
+        const faces = [{ points: rectPoints(-dims[0] / 2, -dims[2] / 2, dims[0] / 2, dims[2] / 2) }];
+        const queue = [{ r: r0, c: c0, index: 0, dims, x: -dims[0] / 2, y: -dims[2] / 2 }];
+        const seen = { [start]: true };
+        while (queue.length) {
+            const cell = queue.shift();
+            const [w, h, d] = cell.dims;
+            [[0, 1], [0, -1], [1, 0], [-1, 0]].forEach(([dr, dc]) => {
+                const key = `${cell.r + dr},${cell.c + dc}`;
+                if (!cells[key] || seen[key]) return;
+                seen[key] = true;
+                // Rolling over an edge swaps the height with the extent along the roll
+                let next;
+                let hinge;
+                if (dc) {
+                    const x = dc > 0 ? cell.x + w : cell.x - h;
+                    const edge = dc > 0 ? cell.x + w : cell.x;
+                    next = { dims: [h, w, d], x, y: cell.y };
+                    hinge = [[edge, cell.y], [edge, cell.y + d]];
+                } else {
+                    const y = dr > 0 ? cell.y + d : cell.y - h;
+                    const edge = dr > 0 ? cell.y + d : cell.y;
+                    next = { dims: [w, d, h], x: cell.x, y };
+                    hinge = [[cell.x, edge], [cell.x + w, edge]];
+                }
+                faces.push({
+                    points: rectPoints(next.x, next.y, next.x + next.dims[0], next.y + next.dims[2]),
+                    parent: cell.index,
+                    hinge,
+                    angle: RIGHT_ANGLE
+                });
+                queue.push(Object.assign(next, { r: cell.r + dr, c: cell.c + dc, index: faces.length - 1 }));
+            });
+        }
+        return { faces };
+    }
+
+    // Net choices ({ key: { label, layout } }) from grid patterns
+    function gridNets(patterns, dims) {
+        const nets = {};
+        patterns.forEach((pattern) => {
+            nets[pattern.key] = {
+                label: pattern.label,
+                layout: (params) => netLayoutRolled(pattern.rows, dims(params))
+            };
+        });
+        return nets;
+    }
+
+    /**
+     * Cylinder Net: the mantle touches the bottom circle and rolls around it.
+     */
+    function netLayoutCylinder(params) {
+        const { r, t } = params;
+        const circ = 2 * Math.PI * r;
+        return {
+            faces: [
+                { points: circlePoints(0, 0, r) },
+                {
+                    points: rectPoints(-circ / 2, r, circ / 2, r + t),
+                    parent: 0,
+                    hinge: [[-circ / 2, r], [circ / 2, r]],
+                    angle: RIGHT_ANGLE,
+                    bend: { type: 'roll', radius: r, width: circ, height: t }
+                },
+                { points: circlePoints(0, 2 * r + t, r), parent: 1, hinge: [[-r, r + t], [r, r + t]], angle: RIGHT_ANGLE }
+            ]
+        };
+    }
+
+    /**
+     * Pyramid Net: four triangles around the square base.
+     */
+    function netLayoutPyramid(params) {
+        const { s, t } = params;
+        const h = s / 2;
+        const slant = Math.sqrt(t * t + h * h);
+        // Each triangle turns past vertical until it leans on the apex
+        const angle = Math.PI - Math.atan2(t, h);
+        return {
+            faces: [
+                { points: rectPoints(-h, -h, h, h) },
+                { points: [[-h, -h], [h, -h], [0, -h - slant]], parent: 0, hinge: [[-h, -h], [h, -h]], angle },
+                { points: [[-h, h], [h, h], [0, h + slant]], parent: 0, hinge: [[-h, h], [h, h]], angle },
+                { points: [[-h, -h], [-h, h], [-h - slant, 0]], parent: 0, hinge: [[-h, -h], [-h, h]], angle },
+                { points: [[h, -h], [h, h], [h + slant, 0]], parent: 0, hinge: [[h, -h], [h, h]], angle }
+            ]
+        };
+    }
+
+    /**
+     * Cone Net: the sector touches the base circle, then flips over it while
+     * rolling into the mantle.
+     */
+    function netLayoutCone(params) {
+        const { r, t } = params;
+        const slant = Math.sqrt(r * r + t * t);
+        const sectorAngle = (2 * Math.PI * r) / slant;
+        const apexY = r + slant;
+
+        const sector = [[0, apexY]];
+        const segments = 48;
+        for (let i = 0; i <= segments; i++) {
+            const a = -sectorAngle / 2 + (i / segments) * sectorAngle;
+            sector.push([slant * Math.sin(a), apexY - slant * Math.cos(a)]);
+        }
+
+        return {
+            faces: [
+                { points: circlePoints(0, 0, r) },
+                {
+                    points: sector,
+                    parent: 0,
+                    hinge: [[-r, r], [r, r]],
+                    angle: Math.PI,
+                    bend: { type: 'cone', radius: r, slant }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Triangular Prism Net: folds into a prism resting on its rectangular face
+     * a x t_prisma. `triangle(params)` gives the base triangle standing on side a,
+     * with its apex px from the left corner at height h. The two end triangles
+     * hang from the rectangles named in `ends` ([front, back]): 'bottom', 'left'
+     * or 'right'.
+     */
+    function netLayoutTrianglePrism(triangle, ends = ['bottom', 'bottom']) {
+        return function (params) {
+            const { a, px, h } = triangle(params);
+            const ha = a / 2;
+            const hp = params.t_prisma / 2;
+            const left = Math.hypot(px, h);
+            const right = Math.hypot(a - px, h);
+            const faces = [
+                { points: rectPoints(-ha, -hp, ha, hp) },
+                { points: rectPoints(-ha - left, -hp, -ha, hp), parent: 0, hinge: [[-ha, -hp], [-ha, hp]], angle: Math.PI - Math.atan2(h, px) },
+                { points: rectPoints(ha, -hp, ha + right, hp), parent: 0, hinge: [[ha, -hp], [ha, hp]], angle: Math.PI - Math.atan2(h, a - px) }
+            ];
+            // sign -1 is the front end (y = -hp), +1 the back end
+            [-1, 1].forEach((sign, i) => {
+                const y = sign * hp;
+                const out = (d) => y + sign * d;
+                if (ends[i] === 'left') {
+                    // Unfolded about the left side: the far corner sits a away from
+                    // the bottom-left corner, at the triangle's left angle
+                    faces.push({
+                        points: [[-ha, y], [-ha - left, y], [-ha - (a * px) / left, out((a * h) / left)]],
+                        parent: 1,
+                        hinge: [[-ha - left, y], [-ha, y]],
+                        angle: RIGHT_ANGLE
+                    });
+                } else if (ends[i] === 'right') {
+                    faces.push({
+                        points: [[ha, y], [ha + right, y], [ha + (a * (a - px)) / right, out((a * h) / right)]],
+                        parent: 2,
+                        hinge: [[ha, y], [ha + right, y]],
+                        angle: RIGHT_ANGLE
+                    });
+                } else {
+                    faces.push({
+                        points: [[-ha, y], [ha, y], [px - ha, out(h)]],
+                        parent: 0,
+                        hinge: [[-ha, y], [ha, y]],
+                        angle: RIGHT_ANGLE
+                    });
+                }
+            });
+            return { faces };
+        };
+    }
+
+    const PRISM_NETS = [
+        { key: 'bottom', label: 'Segitiga pada alas', ends: ['bottom', 'bottom'] },
+        { key: 'opposite', label: 'Segitiga berseberangan', ends: ['left', 'right'] },
+        { key: 'left', label: 'Segitiga pada sisi kiri', ends: ['left', 'left'] },
+        { key: 'mixed', label: 'Segitiga pada alas dan sisi kanan', ends: ['bottom', 'right'] }
+    ];
+
+    function trianglePrismNets(triangle) {
+        const nets = {};
+        PRISM_NETS.forEach((pattern) => {
+            nets[pattern.key] = {
+                label: pattern.label,
+                layout: netLayoutTrianglePrism(triangle, pattern.ends)
+            };
+        });
+        return nets;
+    }
+
+    // Regular n-gon with side s, centred on the origin. Vertex k sits at angle
+    // 2πk/n measured like three.js CylinderGeometry, so nets match the solids.
+    function polygonPoints(n, s) {
+        const R = s / (2 * Math.sin(Math.PI / n));
+        const points = [];
+        for (let k = 0; k < n; k++) {
+            const a = (k / n) * Math.PI * 2;
+            points.push([R * Math.sin(a), R * Math.cos(a)]);
+        }
+        return points;
+    }
+
+    // Edges of a convex polygon with their outward unit normals
+    function polygonEdges(points) {
+        return points.map((from, k) => {
+            const to = points[(k + 1) % points.length];
+            const dx = to[0] - from[0];
+            const dy = to[1] - from[1];
+            const len = Math.hypot(dx, dy);
+            let normal = [dy / len, -dx / len];
+            const mid = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+            if (normal[0] * mid[0] + normal[1] * mid[1] < 0) normal = [-normal[0], -normal[1]];
+            return { from, to, mid, normal };
+        });
+    }
+
+    const offsetPoint = (p, normal, d) => [p[0] + normal[0] * d, p[1] + normal[1] * d];
+
+    /**
+     * Regular Prism Net: n rectangles around the base n-gon, the top n-gon
+     * hanging from the first rectangle.
+     */
+    function netLayoutRegularPrism(params) {
+        const { n, s, t } = params;
+        const base = polygonPoints(n, s);
+        const edges = polygonEdges(base);
+        const faces = [{ points: base }];
+        edges.forEach((e) => {
+            faces.push({
+                points: [e.from, e.to, offsetPoint(e.to, e.normal, t), offsetPoint(e.from, e.normal, t)],
+                parent: 0,
+                hinge: [e.from, e.to],
+                angle: RIGHT_ANGLE
+            });
+        });
+
+        // Top: the base mirrored across the line halfway up the first rectangle
+        const e = edges[0];
+        const mirrorAt = regularApothem(params) + t / 2;
+        const top = base.map((p) => {
+            const d = p[0] * e.normal[0] + p[1] * e.normal[1];
+            return offsetPoint(p, e.normal, 2 * (mirrorAt - d));
+        });
+        faces.push({
+            points: top,
+            parent: 1,
+            hinge: [offsetPoint(e.from, e.normal, t), offsetPoint(e.to, e.normal, t)],
+            angle: RIGHT_ANGLE
+        });
+        return { faces };
+    }
+
+    /**
+     * Regular Pyramid Net: n triangles around the base n-gon.
+     */
+    function netLayoutRegularPyramid(params) {
+        const { n, s, t } = params;
+        const base = polygonPoints(n, s);
+        const slant = regularPyramidSlant(params);
+        const angle = Math.PI - Math.atan2(t, regularApothem(params));
+        const faces = [{ points: base }];
+        polygonEdges(base).forEach((e) => {
+            faces.push({
+                points: [e.from, e.to, offsetPoint(e.mid, e.normal, slant)],
+                parent: 0,
+                hinge: [e.from, e.to],
+                angle
+            });
+        });
+        return { faces };
+    }
+
+    /**
+     * Sphere Net: a row of gores (orange-peel strips) joined at the equator.
+     */
+    function netLayoutSphere(params) {
+        const { r } = params;
+        const count = 12;
+        const width = (2 * Math.PI * r) / count;
+        const faces = [];
+        for (let k = 0; k < count; k++) {
+            const x = (k - (count - 1) / 2) * width;
+            const bend = {
+                type: 'gore',
+                radius: r,
+                width,
+                lat: [-Math.PI / 2, Math.PI / 2],
+                center: [x, 0],
+                north: [0, -1],
+                perp: [1, 0],
+                lon: x / r,
+                centerY: r
+            };
+            faces.push({ points: gorePoints(bend), bend });
+        }
+        return { faces };
+    }
+
+    /**
+     * Hemisphere Net: the base circle with gores radiating from its rim like petals.
+     */
+    function netLayoutHemisphere(params) {
+        const { r } = params;
+        const count = 12;
+        const width = (2 * Math.PI * r) / count;
+        const faces = [{ points: circlePoints(0, 0, r) }];
+        for (let k = 0; k < count; k++) {
+            const a = (k / count) * Math.PI * 2;
+            const north = [Math.cos(a), Math.sin(a)];
+            const perp = [Math.sin(a), -Math.cos(a)];
+            const center = [r * north[0], r * north[1]];
+            const bend = {
+                type: 'gore',
+                radius: r,
+                width,
+                lat: [0, Math.PI / 2],
+                center,
+                north,
+                perp,
+                lon: Math.PI / 2 - a,
+                centerY: 0
+            };
+            faces.push({
+                points: gorePoints(bend),
+                parent: 0,
+                hinge: [
+                    [center[0] - perp[0] * width / 2, center[1] - perp[1] * width / 2],
+                    [center[0] + perp[0] * width / 2, center[1] + perp[1] * width / 2]
+                ],
+                // The gore morphs into place instead of turning on its hinge
+                angle: 0,
+                bend
+            });
+        }
+        return { faces };
+    }
+
+    // Flat outline of a gore: one side from latitude lat[0] to lat[1], then back
+    function gorePoints(bend) {
+        const steps = 16;
+        const side = (sign) => {
+            const points = [];
+            for (let j = 0; j <= steps; j++) {
+                const lat = bend.lat[0] + (j / steps) * (bend.lat[1] - bend.lat[0]);
+                const across = sign * (bend.width / 2) * Math.cos(lat);
+                const along = bend.radius * lat;
+                points.push([
+                    bend.center[0] + bend.north[0] * along + bend.perp[0] * across,
+                    bend.center[1] + bend.north[1] * along + bend.perp[1] * across
+                ]);
+            }
+            return points;
+        };
+        return side(-1).concat(side(1).reverse());
+    }
+
+    /**
+     * Cone Frustum Net: an annular sector touching the bottom circle, with the
+     * top circle on its inner arc.
+     */
+    function netLayoutConeFrustum(params) {
+        const { R, r, t } = params;
+        const slant = coneFrustumSlant(params);
+        // Slant lengths of the full cone and of the cut-off tip
+        const outer = (R * slant) / (R - r);
+        const inner = outer - slant;
+        const sectorAngle = (2 * Math.PI * R) / outer;
+        const apexY = R + outer;
+
+        const segments = 48;
+        const arc = (radius) => {
+            const points = [];
+            for (let i = 0; i <= segments; i++) {
+                const a = -sectorAngle / 2 + (i / segments) * sectorAngle;
+                points.push([radius * Math.sin(a), apexY - radius * Math.cos(a)]);
+            }
+            return points;
+        };
+
+        return {
+            faces: [
+                { points: circlePoints(0, 0, R) },
+                {
+                    points: arc(outer).concat(arc(inner).reverse()),
+                    parent: 0,
+                    hinge: [[-R, R], [R, R]],
+                    angle: Math.PI,
+                    bend: { type: 'cone', radius: R, slant: outer, inner }
+                },
+                {
+                    points: circlePoints(0, R + slant + r, r),
+                    parent: 1,
+                    hinge: [[-r, R + slant], [r, R + slant]],
+                    // Turns the rest of the way from the slanted wall to horizontal
+                    angle: Math.acos((R - r) / slant)
+                }
+            ]
+        };
+    }
+
+    /**
+     * Pyramid Frustum Net: four trapezoids around the bottom square, top square
+     * hanging from the back trapezoid.
+     */
+    function netLayoutPyramidFrustum(params) {
+        const { a, b, t } = params;
+        const h = a / 2;
+        const k = b / 2;
+        const slant = pyramidFrustumSlant(params);
+        const edge = h + slant;
+        const lean = Math.atan2(t, h - k);
+        const angle = Math.PI - lean;
+        return {
+            faces: [
+                { points: rectPoints(-h, -h, h, h) },
+                { points: [[-h, -h], [h, -h], [k, -edge], [-k, -edge]], parent: 0, hinge: [[-h, -h], [h, -h]], angle },
+                { points: [[-h, h], [h, h], [k, edge], [-k, edge]], parent: 0, hinge: [[-h, h], [h, h]], angle },
+                { points: [[-h, -h], [-h, h], [-edge, k], [-edge, -k]], parent: 0, hinge: [[-h, -h], [-h, h]], angle },
+                { points: [[h, -h], [h, h], [edge, k], [edge, -k]], parent: 0, hinge: [[h, -h], [h, h]], angle },
+                { points: rectPoints(-k, -edge - b, k, -edge), parent: 1, hinge: [[-k, -edge], [k, -edge]], angle: lean }
+            ]
+        };
+    }
+
+    // ===================== DERIVED VALUES =====================
+
+    function pyramidSlant(p) {
+        return Math.sqrt(Math.pow(p.t, 2) + Math.pow(p.s / 2, 2));
+    }
+
+    function coneSlant(p) {
+        return Math.sqrt(p.r * p.r + p.t * p.t);
+    }
+
+    // Isosceles triangle: base a, height t_alas
+    function prismLeg(p) {
+        return Math.sqrt(Math.pow(p.a / 2, 2) + Math.pow(p.t_alas, 2));
+    }
+
+    // Right triangle with legs a and t_alas
+    function prismHypotenuse(p) {
+        return Math.sqrt(p.a * p.a + p.t_alas * p.t_alas);
+    }
+
+    // Scalene triangle by its three sides: half perimeter and Heron's area
+    function prismHalfPerimeter(p) {
+        return (p.a + p.b + p.c) / 2;
+    }
+
+    function heronArea(p) {
+        const s = prismHalfPerimeter(p);
+        return Math.sqrt(Math.max(0, s * (s - p.a) * (s - p.b) * (s - p.c)));
+    }
+
+    // ===================== TRIANGULAR PRISMS =====================
+
+    // Base triangles standing on side a, apex px from the left corner at height h
+    const PRISM_TRIANGLES = {
+        right: (p) => ({ a: p.a, px: 0, h: p.t_alas }),
+        isosceles: (p) => ({ a: p.a, px: p.a / 2, h: p.t_alas }),
+        equilateral: (p) => ({ a: p.a, px: p.a / 2, h: (Math.sqrt(3) / 2) * p.a }),
+        scalene: (p) => {
+            const px = (p.a * p.a + p.c * p.c - p.b * p.b) / (2 * p.a);
+            return { a: p.a, px, h: Math.sqrt(Math.max(0, p.c * p.c - px * px)) };
+        }
+    };
+
+    function solidTrianglePrism(triangle) {
+        return function (p) {
+            const { a, px, h } = triangle(p);
+            const shape = new THREE.Shape();
+            shape.moveTo(-a / 2, 0);
+            shape.lineTo(a / 2, 0);
+            shape.lineTo(px - a / 2, h);
+            shape.closePath();
+            // Rest on the rectangular face a x t_prisma, the same pose the net folds into
+            return new THREE.ExtrudeGeometry(shape, { depth: p.t_prisma, bevelEnabled: false })
+                .translate(0, 0, -p.t_prisma / 2);
+        };
+    }
+
+    const PRISM_HEIGHT = { label: 'Tinggi Prisma (tp)', symbol: 't_{prisma}', min: 3, max: 12, step: 0.1, val: 10 };
+    const PRISM_FORMULAS = {
+        volume: 'V = {{L_alas}} \\times {{t_prisma}}',
+        surfaceArea: 'L = 2{{L_alas}} + {{K_alas}} \\times {{t_prisma}}'
+    };
+
+    // Regular n-gon with side s: apothem, perimeter and area
+    function regularApothem(p) {
+        return p.s / (2 * Math.tan(Math.PI / p.n));
+    }
+
+    function regularPerimeter(p) {
+        return p.n * p.s;
+    }
+
+    function regularBaseArea(p) {
+        return 0.5 * regularPerimeter(p) * regularApothem(p);
+    }
+
+    function regularPyramidSlant(p) {
+        return Math.sqrt(p.t * p.t + Math.pow(regularApothem(p), 2));
+    }
+
+    function coneFrustumSlant(p) {
+        return Math.sqrt(p.t * p.t + Math.pow(p.R - p.r, 2));
+    }
+
+    function pyramidFrustumSlant(p) {
+        return Math.sqrt(p.t * p.t + Math.pow((p.a - p.b) / 2, 2));
+    }
+
+    // ===================== DIMENSION LINES =====================
+    // Lines the scene labels with their length, in solid coordinates (resting
+    // on y = 0) or, for `netDimensions`, flat net coordinates as [x, 0, y].
+    // `derived` marks computed lengths such as slant heights.
+
+    function dimension(label, from, to, derived = false) {
+        return { label: I18n.localizeSymbol(label), from, to, derived };
+    }
+
+    function midpoint(a, b, y) {
+        return [(a[0] + b[0]) / 2, y, (a[2] + b[2]) / 2];
+    }
+
+    // First two corners of a regular n-gon base, as placed by CylinderGeometry
+    function regularBaseVertices(p) {
+        return polygonPoints(p.n, p.s).slice(0, 2).map(([x, z]) => [x, 0, z]);
+    }
+
+    // Base edge a and prism length on the front end, plus the triangle's height
+    // or its other two sides when those are parameters
+    function trianglePrismDimensions(triangle) {
+        return function (p) {
+            const { a, px, h } = triangle(p);
+            const z = p.t_prisma / 2;
+            const apex = [px - a / 2, h, z];
+            const lines = [
+                dimension('a', [-a / 2, 0, z], [a / 2, 0, z]),
+                dimension('tp', [a / 2, 0, -z], [a / 2, 0, z])
+            ];
+            if (p.t_alas !== undefined) lines.push(dimension('ta', [px - a / 2, 0, z], apex));
+            if (p.b !== undefined) {
+                lines.push(dimension('b', [a / 2, 0, z], apex), dimension('c', [-a / 2, 0, z], apex));
+            }
+            return lines;
+        };
+    }
+
+    // ===================== SHAPES =====================
+    // Formulas are LaTeX templates without delimiters; the UI wraps them for
+    // MathJax. {{key}} stands for a parameter or a derived value and is
+    // replaced by its symbol, or by its number in the worked solution.
+    // A shape has either one `net` layout function or a choice of `nets`.
+    // Parameters are lengths unless marked `unitless` (e.g. a number of sides);
+    // `capacity` marks containers whose volume is also shown in mL and L.
+    // `inverse` gives closed forms for a parameter from a known volume or
+    // surface area; solve() finds the others numerically. `dimensions` are the
+    // labelled measurement lines drawn in the scene. `unitCubes` gives the
+    // [x, y, z] extents of a cuboid that can be filled with unit cubes.
+
+    const shapes = {
+        cube: {
+            name: 'Kubus',
+            desc: 'Kubus adalah bangun ruang sisi datar yang semua sisinya berbentuk persegi dan semua rusuknya sama panjang.',
+            color: 0x4a90e2,
+            capacity: true,
+            params: { s: { label: 'Sisi (s)', min: 2, max: 10, step: 0.1, val: 5 } },
+            volume: (p) => Math.pow(p.s, 3),
+            surfaceArea: (p) => 6 * Math.pow(p.s, 2),
+            inverse: {
+                volume: { s: (V) => Math.cbrt(V) },
+                surfaceArea: { s: (L) => Math.sqrt(L / 6) }
+            },
+            formulas: {
+                volume: 'V = {{s}}^3',
+                surfaceArea: 'L = 6 \\times {{s}}^2'
+            },
+            dimensions: (p) => [
+                dimension('s', [-p.s / 2, 0, p.s / 2], [p.s / 2, 0, p.s / 2])
+            ],
+            unitCubes: (p) => [p.s, p.s, p.s],
+            solid: (p) => new THREE.BoxGeometry(p.s, p.s, p.s).translate(0, p.s / 2, 0),
+            nets: gridNets(CUBE_NETS, (p) => [p.s, p.s, p.s])
+        },
+        box: {
+            name: 'Balok',
+            desc: 'Balok adalah bangun ruang sisi datar yang memiliki tiga pasang sisi yang saling berhadapan.',
+            color: 0xe24a4a,
+            capacity: true,
+            params: {
+                p: { label: 'Panjang (p)', min: 3, max: 10, step: 0.1, val: 6 },
+                l: { label: 'Lebar (l)', min: 2, max: 8, step: 0.1, val: 4 },
+                t: { label: 'Tinggi (t)', min: 2, max: 8, step: 0.1, val: 3 }
+            },
+            volume: (p) => p.p * p.l * p.t,
+            surfaceArea: (p) => 2 * (p.p * p.l + p.p * p.t + p.l * p.t),
+            inverse: {
+                volume: {
+                    p: (V, p) => V / (p.l * p.t),
+                    l: (V, p) => V / (p.p * p.t),
+                    t: (V, p) => V / (p.p * p.l)
+                },
+                surfaceArea: {
+                    p: (L, p) => (L / 2 - p.l * p.t) / (p.l + p.t),
+                    l: (L, p) => (L / 2 - p.p * p.t) / (p.p + p.t),
+                    t: (L, p) => (L / 2 - p.p * p.l) / (p.p + p.l)
+                }
+            },
+            formulas: {
+                volume: 'V = {{p}} \\times {{l}} \\times {{t}}',
+                surfaceArea: 'L = 2({{p}}{{l}} + {{p}}{{t}} + {{l}}{{t}})'
+            },
+            dimensions: (p) => [
+                dimension('p', [-p.p / 2, 0, p.l / 2], [p.p / 2, 0, p.l / 2]),
+                dimension('l', [p.p / 2, 0, -p.l / 2], [p.p / 2, 0, p.l / 2]),
+                dimension('t', [p.p / 2, 0, p.l / 2], [p.p / 2, p.t, p.l / 2])
+            ],
+            unitCubes: (p) => [p.p, p.t, p.l],
+            solid: (p) => new THREE.BoxGeometry(p.p, p.t, p.l).translate(0, p.t / 2, 0),
+            nets: gridNets(CUBE_NETS, (p) => [p.p, p.t, p.l])
+        },
+        cylinder: {
+            name: 'Tabung',
+            desc: 'Tabung adalah bangun ruang tiga dimensi yang dibentuk oleh dua buah lingkaran identik yang sejajar.',
+            color: 0x4a90e2,
+            capacity: true,
+            params: {
+                r: { label: 'Jari-jari (r)', min: 1, max: 6, step: 0.1, val: 3 },
+                t: { label: 'Tinggi (t)', min: 3, max: 12, step: 0.1, val: 7 }
+            },
+            volume: (p) => Math.PI * Math.pow(p.r, 2) * p.t,
+            surfaceArea: (p) => 2 * Math.PI * p.r * (p.r + p.t),
+            inverse: {
+                volume: {
+                    r: (V, p) => Math.sqrt(V / (Math.PI * p.t)),
+                    t: (V, p) => V / (Math.PI * p.r * p.r)
+                },
+                surfaceArea: {
+                    // Positive root of 2πr² + 2πtr - L = 0
+                    r: (L, p) => (-p.t + Math.sqrt(p.t * p.t + (2 * L) / Math.PI)) / 2,
+                    t: (L, p) => L / (2 * Math.PI * p.r) - p.r
+                }
+            },
+            formulas: {
+                volume: 'V = \\pi {{r}}^2 {{t}}',
+                surfaceArea: 'L = 2\\pi {{r}} ({{r}} + {{t}})'
+            },
+            dimensions: (p) => [
+                dimension('r', [0, p.t, 0], [p.r, p.t, 0]),
+                dimension('t', [p.r, 0, 0], [p.r, p.t, 0])
+            ],
+            // The mantle's long side is the circumference of the base
+            netDimensions: (p) => [
+                dimension('2πr', [-Math.PI * p.r, 0, p.r + p.t / 2], [Math.PI * p.r, 0, p.r + p.t / 2], true),
+                dimension('t', [Math.PI * p.r, 0, p.r], [Math.PI * p.r, 0, p.r + p.t])
+            ],
+            solid: (p) => new THREE.CylinderGeometry(p.r, p.r, p.t, 32).translate(0, p.t / 2, 0),
+            net: netLayoutCylinder
+        },
+        pyramid: {
+            name: 'Limas Segi Empat',
+            desc: 'Limas segi empat adalah bangun ruang yang mempunyai alas segi empat dan sisi-sisi tegak berbentuk segitiga.',
+            color: 0xe2a04a,
+            params: {
+                s: { label: 'Sisi Alas (s)', min: 3, max: 10, step: 0.1, val: 8 },
+                t: { label: 'Tinggi (t)', min: 3, max: 12, step: 0.1, val: 10 }
+            },
+            derived: {
+                t_miring: {
+                    symbol: 't_{miring}',
+                    formula: '\\sqrt{ {{t}}^2 + \\left(\\frac{ {{s}} }{2}\\right)^2 }',
+                    value: pyramidSlant
+                }
+            },
+            volume: (p) => (1 / 3) * Math.pow(p.s, 2) * p.t,
+            surfaceArea: (p) => Math.pow(p.s, 2) + 2 * p.s * pyramidSlant(p),
+            formulas: {
+                volume: 'V = \\frac{1}{3} {{s}}^2 {{t}}',
+                surfaceArea: 'L = {{s}}^2 + 2{{s}}{{t_miring}}'
+            },
+            dimensions: (p) => [
+                dimension('s', [-p.s / 2, 0, p.s / 2], [p.s / 2, 0, p.s / 2]),
+                dimension('t', [0, 0, 0], [0, p.t, 0]),
+                dimension('t miring', [0, 0, p.s / 2], [0, p.t, 0], true)
+            ],
+            solid: (p) => new THREE.ConeGeometry(p.s / Math.sqrt(2), p.t, 4)
+                .rotateY(Math.PI / 4)
+                .translate(0, p.t / 2, 0),
+            net: netLayoutPyramid
+        },
+        cone: {
+            name: 'Kerucut',
+            desc: 'Kerucut adalah sebuah limas istimewa yang beralas lingkaran.',
+            color: 0xe24a90,
+            capacity: true,
+            params: {
+                r: { label: 'Jari-jari (r)', min: 2, max: 7, step: 0.1, val: 5 },
+                t: { label: 'Tinggi (t)', min: 3, max: 12, step: 0.1, val: 10 }
+            },
+            derived: {
+                s: {
+                    symbol: 's',
+                    formula: '\\sqrt{ {{r}}^2 + {{t}}^2 }',
+                    value: coneSlant
+                }
+            },
+            volume: (p) => (1 / 3) * Math.PI * p.r * p.r * p.t,
+            surfaceArea: (p) => Math.PI * p.r * (p.r + coneSlant(p)),
+            // r from L has no simple form and is found numerically
+            inverse: {
+                volume: {
+                    r: (V, p) => Math.sqrt((3 * V) / (Math.PI * p.t)),
+                    t: (V, p) => (3 * V) / (Math.PI * p.r * p.r)
+                },
+                surfaceArea: {
+                    t: (L, p) => {
+                        const s = L / (Math.PI * p.r) - p.r;
+                        return s > p.r ? Math.sqrt(s * s - p.r * p.r) : NaN;
+                    }
+                }
+            },
+            formulas: {
+                volume: 'V = \\frac{1}{3} \\pi {{r}}^2 {{t}}',
+                surfaceArea: 'L = \\pi {{r}} ({{r}} + {{s}})'
+            },
+            dimensions: (p) => [
+                dimension('r', [0, 0, 0], [p.r, 0, 0]),
+                dimension('t', [0, 0, 0], [0, p.t, 0]),
+                dimension('s', [-p.r, 0, 0], [0, p.t, 0], true)
+            ],
+            solid: (p) => new THREE.ConeGeometry(p.r, p.t, 32).translate(0, p.t / 2, 0),
+            net: netLayoutCone
+        },
+        prism: {
+            name: 'Prisma Segitiga Sama Kaki',
+            desc: 'Prisma segitiga adalah bangun ruang yang alas dan tutupnya berbentuk segitiga. Alas prisma ini berupa segitiga sama kaki.',
+            color: 0x4ae290,
+            variant: { group: 'prism', title: 'Jenis Alas', label: 'Segitiga Sama Kaki' },
+            params: {
+                a: { label: 'Alas Segitiga (a)', min: 3, max: 8, step: 0.1, val: 6 },
+                t_alas: { label: 'Tinggi Segitiga (ta)', symbol: 't_{a}', min: 2, max: 8, step: 0.1, val: 5 },
+                t_prisma: PRISM_HEIGHT
+            },
+            derived: {
+                L_alas: {
+                    symbol: 'L_{alas}',
+                    formula: '\\frac{1}{2} \\times {{a}} \\times {{t_alas}}',
+                    value: (p) => 0.5 * p.a * p.t_alas
+                },
+                s_miring: {
+                    symbol: 's_{miring}',
+                    formula: '\\sqrt{ \\left(\\frac{ {{a}} }{2}\\right)^2 + {{t_alas}}^2 }',
+                    value: prismLeg
+                },
+                K_alas: {
+                    symbol: 'K_{alas}',
+                    formula: '{{a}} + 2{{s_miring}}',
+                    value: (p) => p.a + 2 * prismLeg(p)
+                }
+            },
+            volume: (p) => 0.5 * p.a * p.t_alas * p.t_prisma,
+            surfaceArea: (p) => p.a * p.t_alas + (p.a + 2 * prismLeg(p)) * p.t_prisma,
+            formulas: PRISM_FORMULAS,
+            dimensions: trianglePrismDimensions(PRISM_TRIANGLES.isosceles),
+            solid: solidTrianglePrism(PRISM_TRIANGLES.isosceles),
+            nets: trianglePrismNets(PRISM_TRIANGLES.isosceles)
+        },
+        prismRight: {
+            name: 'Prisma Segitiga Siku-siku',
+            desc: 'Prisma segitiga adalah bangun ruang yang alas dan tutupnya berbentuk segitiga. Alas prisma ini berupa segitiga siku-siku dengan sisi siku-siku a dan ta.',
+            color: 0x4ae290,
+            variant: { group: 'prism', title: 'Jenis Alas', label: 'Segitiga Siku-siku' },
+            params: {
+                a: { label: 'Alas Segitiga (a)', min: 2, max: 8, step: 0.1, val: 6 },
+                t_alas: { label: 'Tinggi Segitiga (ta)', symbol: 't_{a}', min: 2, max: 8, step: 0.1, val: 4 },
+                t_prisma: PRISM_HEIGHT
+            },
+            derived: {
+                L_alas: {
+                    symbol: 'L_{alas}',
+                    formula: '\\frac{1}{2} \\times {{a}} \\times {{t_alas}}',
+                    value: (p) => 0.5 * p.a * p.t_alas
+                },
+                s_miring: {
+                    symbol: 's_{miring}',
+                    formula: '\\sqrt{ {{a}}^2 + {{t_alas}}^2 }',
+                    value: prismHypotenuse
+                },
+                K_alas: {
+                    symbol: 'K_{alas}',
+                    formula: '{{a}} + {{t_alas}} + {{s_miring}}',
+                    value: (p) => p.a + p.t_alas + prismHypotenuse(p)
+                }
+            },
+            volume: (p) => 0.5 * p.a * p.t_alas * p.t_prisma,
+            surfaceArea: (p) => p.a * p.t_alas + (p.a + p.t_alas + prismHypotenuse(p)) * p.t_prisma,
+            formulas: PRISM_FORMULAS,
+            dimensions: trianglePrismDimensions(PRISM_TRIANGLES.right),
+            solid: solidTrianglePrism(PRISM_TRIANGLES.right),
+            nets: trianglePrismNets(PRISM_TRIANGLES.right)
+        },
+        prismEquilateral: {
+            name: 'Prisma Segitiga Sama Sisi',
+            desc: 'Prisma segitiga adalah bangun ruang yang alas dan tutupnya berbentuk segitiga. Alas prisma ini berupa segitiga sama sisi.',
+            color: 0x4ae290,
+            variant: { group: 'prism', title: 'Jenis Alas', label: 'Segitiga Sama Sisi' },
+            params: {
+                a: { label: 'Sisi Segitiga (a)', min: 2, max: 8, step: 0.1, val: 6 },
+                t_prisma: PRISM_HEIGHT
+            },
+            derived: {
+                t_alas: {
+                    symbol: 't_{a}',
+                    formula: '\\frac{ {{a}} }{2}\\sqrt{3}',
+                    value: (p) => (Math.sqrt(3) / 2) * p.a
+                },
+                L_alas: {
+                    symbol: 'L_{alas}',
+                    formula: '\\frac{1}{2} \\times {{a}} \\times {{t_alas}}',
+                    value: (p) => (Math.sqrt(3) / 4) * p.a * p.a
+                },
+                K_alas: {
+                    symbol: 'K_{alas}',
+                    formula: '3 \\times {{a}}',
+                    value: (p) => 3 * p.a
+                }
+            },
+            volume: (p) => (Math.sqrt(3) / 4) * p.a * p.a * p.t_prisma,
+            surfaceArea: (p) => (Math.sqrt(3) / 2) * p.a * p.a + 3 * p.a * p.t_prisma,
+            formulas: PRISM_FORMULAS,
+            dimensions: trianglePrismDimensions(PRISM_TRIANGLES.equilateral),
+            solid: solidTrianglePrism(PRISM_TRIANGLES.equilateral),
+            nets: trianglePrismNets(PRISM_TRIANGLES.equilateral)
+        },
+        prismScalene: {
+            name: 'Prisma Segitiga Sembarang',
+            desc: 'Prisma segitiga adalah bangun ruang yang alas dan tutupnya berbentuk segitiga. Alas prisma ini berupa segitiga sembarang yang ditentukan oleh ketiga sisinya.',
+            color: 0x4ae290,
+            variant: { group: 'prism', title: 'Jenis Alas', label: 'Segitiga Sembarang (tiga sisi)' },
+            params: {
+                a: { label: 'Sisi Alas (a)', min: 2, max: 8, step: 0.1, val: 6 },
+                b: { label: 'Sisi Kanan (b)', min: 2, max: 8, step: 0.1, val: 5 },
+                c: { label: 'Sisi Kiri (c)', min: 2, max: 8, step: 0.1, val: 4 },
+                t_prisma: PRISM_HEIGHT
+            },
+            validate: (p) => (p.a < p.b + p.c && p.b < p.a + p.c && p.c < p.a + p.b
+                ? null
+                : I18n.t('validate.triangle')),
+            derived: {
+                K_alas: {
+                    symbol: 'K_{alas}',
+                    formula: '{{a}} + {{b}} + {{c}}',
+                    value: (p) => p.a + p.b + p.c
+                },
+                s: {
+                    symbol: 's',
+                    formula: '\\frac{1}{2} \\times {{K_alas}}',
+                    value: prismHalfPerimeter
+                },
+                L_alas: {
+                    symbol: 'L_{alas}',
+                    formula: '\\sqrt{ {{s}}({{s}} - {{a}})({{s}} - {{b}})({{s}} - {{c}}) }',
+                    value: heronArea
+                }
+            },
+            volume: (p) => heronArea(p) * p.t_prisma,
+            surfaceArea: (p) => 2 * heronArea(p) + (p.a + p.b + p.c) * p.t_prisma,
+            formulas: PRISM_FORMULAS,
+            dimensions: trianglePrismDimensions(PRISM_TRIANGLES.scalene),
+            solid: solidTrianglePrism(PRISM_TRIANGLES.scalene),
+            nets: trianglePrismNets(PRISM_TRIANGLES.scalene)
+        },
+        regularPrism: {
+            name: 'Prisma Segi-n Beraturan',
+            desc: 'Prisma segi-n beraturan memiliki alas dan tutup berupa segi-n beraturan yang sejajar dan kongruen, serta n sisi tegak berbentuk persegi panjang.',
+            color: 0x27ae60,
+            params: {
+                n: { label: 'Jumlah Sisi Alas (n)', min: 3, max: 12, step: 1, val: 6, integer: true, unitless: true },
+                s: { label: 'Panjang Sisi Alas (s)', min: 1, max: 8, step: 0.1, val: 3 },
+                t: { label: 'Tinggi Prisma (t)', min: 2, max: 12, step: 0.1, val: 8 }
+            },
+            derived: {
+                a: {
+                    symbol: 'a',
+                    formula: '\\frac{ {{s}} }{2 \\tan\\left(\\frac{180^\\circ}{ {{n}} }\\right)}',
+                    value: regularApothem
+                },
+                K_alas: {
+                    symbol: 'K_{alas}',
+                    formula: '{{n}} \\times {{s}}',
+                    value: regularPerimeter
+                },
+                L_alas: {
+                    symbol: 'L_{alas}',
+                    formula: '\\frac{1}{2} \\times {{K_alas}} \\times {{a}}',
+                    value: regularBaseArea
+                }
+            },
+            volume: (p) => regularBaseArea(p) * p.t,
+            surfaceArea: (p) => 2 * regularBaseArea(p) + regularPerimeter(p) * p.t,
+            formulas: {
+                volume: 'V = {{L_alas}} \\times {{t}}',
+                surfaceArea: 'L = 2{{L_alas}} + {{K_alas}} \\times {{t}}'
+            },
+            dimensions: (p) => {
+                const [v0, v1] = regularBaseVertices(p);
+                return [
+                    dimension('s', v0, v1),
+                    dimension('t', v0, [v0[0], p.t, v0[2]]),
+                    dimension('a', [0, p.t, 0], midpoint(v0, v1, p.t), true)
+                ];
+            },
+            solid: (p) => new THREE.CylinderGeometry(
+                p.s / (2 * Math.sin(Math.PI / p.n)), p.s / (2 * Math.sin(Math.PI / p.n)), p.t, p.n
+            ).translate(0, p.t / 2, 0),
+            net: netLayoutRegularPrism
+        },
+        regularPyramid: {
+            name: 'Limas Segi-n Beraturan',
+            desc: 'Limas segi-n beraturan memiliki alas berupa segi-n beraturan dan n sisi tegak berbentuk segitiga sama kaki yang bertemu di titik puncak.',
+            color: 0xd35400,
+            params: {
+                n: { label: 'Jumlah Sisi Alas (n)', min: 3, max: 12, step: 1, val: 5, integer: true, unitless: true },
+                s: { label: 'Panjang Sisi Alas (s)', min: 1, max: 8, step: 0.1, val: 4 },
+                t: { label: 'Tinggi Limas (t)', min: 2, max: 12, step: 0.1, val: 8 }
+            },
+            derived: {
+                a: {
+                    symbol: 'a',
+                    formula: '\\frac{ {{s}} }{2 \\tan\\left(\\frac{180^\\circ}{ {{n}} }\\right)}',
+                    value: regularApothem
+                },
+                K_alas: {
+                    symbol: 'K_{alas}',
+                    formula: '{{n}} \\times {{s}}',
+                    value: regularPerimeter
+                },
+                L_alas: {
+                    symbol: 'L_{alas}',
+                    formula: '\\frac{1}{2} \\times {{K_alas}} \\times {{a}}',
+                    value: regularBaseArea
+                },
+                t_miring: {
+                    symbol: 't_{miring}',
+                    formula: '\\sqrt{ {{t}}^2 + {{a}}^2 }',
+                    value: regularPyramidSlant
+                }
+            },
+            volume: (p) => (1 / 3) * regularBaseArea(p) * p.t,
+            surfaceArea: (p) => regularBaseArea(p) + 0.5 * regularPerimeter(p) * regularPyramidSlant(p),
+            formulas: {
+                volume: 'V = \\frac{1}{3} \\times {{L_alas}} \\times {{t}}',
+                surfaceArea: 'L = {{L_alas}} + \\frac{1}{2} \\times {{K_alas}} \\times {{t_miring}}'
+            },
+            dimensions: (p) => {
+                const [v0, v1] = regularBaseVertices(p);
+                return [
+                    dimension('s', v0, v1),
+                    dimension('t', [0, 0, 0], [0, p.t, 0]),
+                    dimension('a', [0, 0, 0], midpoint(v0, v1, 0), true),
+                    dimension('t miring', midpoint(v0, v1, 0), [0, p.t, 0], true)
+                ];
+            },
+            solid: (p) => new THREE.ConeGeometry(p.s / (2 * Math.sin(Math.PI / p.n)), p.t, p.n)
+                .translate(0, p.t / 2, 0),
+            net: netLayoutRegularPyramid
+        },
+        sphere: {
+            name: 'Bola',
+            desc: 'Bola adalah bangun ruang yang dibatasi oleh satu bidang lengkung, dengan setiap titik pada permukaannya berjarak sama (r) dari titik pusat.',
+            color: 0x9b59b6,
+            smooth: true,
+            params: {
+                r: { label: 'Jari-jari (r)', min: 1, max: 6, step: 0.1, val: 4 }
+            },
+            volume: (p) => (4 / 3) * Math.PI * Math.pow(p.r, 3),
+            surfaceArea: (p) => 4 * Math.PI * p.r * p.r,
+            inverse: {
+                volume: { r: (V) => Math.cbrt((3 * V) / (4 * Math.PI)) },
+                surfaceArea: { r: (L) => Math.sqrt(L / (4 * Math.PI)) }
+            },
+            formulas: {
+                volume: 'V = \\frac{4}{3} \\pi {{r}}^3',
+                surfaceArea: 'L = 4\\pi {{r}}^2'
+            },
+            dimensions: (p) => [
+                dimension('r', [0, p.r, 0], [p.r, p.r, 0])
+            ],
+            solid: (p) => new THREE.SphereGeometry(p.r, 48, 32).translate(0, p.r, 0),
+            net: netLayoutSphere
+        },
+        hemisphere: {
+            name: 'Setengah Bola',
+            desc: 'Setengah bola adalah bola yang dipotong tepat melalui titik pusatnya, sehingga memiliki satu sisi lengkung dan satu sisi datar berbentuk lingkaran.',
+            color: 0x1abc9c,
+            smooth: true,
+            params: {
+                r: { label: 'Jari-jari (r)', min: 1, max: 7, step: 0.1, val: 5 }
+            },
+            volume: (p) => (2 / 3) * Math.PI * Math.pow(p.r, 3),
+            surfaceArea: (p) => 3 * Math.PI * p.r * p.r,
+            inverse: {
+                volume: { r: (V) => Math.cbrt((3 * V) / (2 * Math.PI)) },
+                surfaceArea: { r: (L) => Math.sqrt(L / (3 * Math.PI)) }
+            },
+            formulas: {
+                volume: 'V = \\frac{2}{3} \\pi {{r}}^3',
+                surfaceArea: 'L = 2\\pi {{r}}^2 + \\pi {{r}}^2'
+            },
+            dimensions: (p) => [
+                dimension('r', [0, 0, 0], [p.r, 0, 0])
+            ],
+            solid: (p) => {
+                // Profile: centre of the base, out to the rim, then over the dome
+                const profile = [new THREE.Vector2(0, 0)];
+                for (let i = 0; i <= 24; i++) {
+                    const a = (i / 24) * Math.PI / 2;
+                    profile.push(new THREE.Vector2(p.r * Math.cos(a), p.r * Math.sin(a)));
+                }
+                return new THREE.LatheGeometry(profile, 48);
+            },
+            net: netLayoutHemisphere
+        },
+        coneFrustum: {
+            name: 'Kerucut Terpancung',
+            desc: 'Kerucut terpancung adalah kerucut yang bagian puncaknya dipotong sejajar alas, sehingga memiliki dua lingkaran sejajar dengan jari-jari berbeda.',
+            color: 0xf39c12,
+            params: {
+                R: { label: 'Jari-jari Bawah (R)', min: 2, max: 8, step: 0.1, val: 5 },
+                r: { label: 'Jari-jari Atas (r)', min: 1, max: 7, step: 0.1, val: 2 },
+                t: { label: 'Tinggi (t)', min: 2, max: 12, step: 0.1, val: 6 }
+            },
+            validate: (p) => (p.r < p.R ? null : I18n.t('validate.coneFrustum')),
+            derived: {
+                s: {
+                    symbol: 's',
+                    formula: '\\sqrt{ {{t}}^2 + ({{R}} - {{r}})^2 }',
+                    value: coneFrustumSlant
+                }
+            },
+            volume: (p) => (1 / 3) * Math.PI * p.t * (p.R * p.R + p.R * p.r + p.r * p.r),
+            surfaceArea: (p) => Math.PI * (p.R * p.R + p.r * p.r) + Math.PI * (p.R + p.r) * coneFrustumSlant(p),
+            formulas: {
+                volume: 'V = \\frac{1}{3} \\pi {{t}} ({{R}}^2 + {{R}}{{r}} + {{r}}^2)',
+                surfaceArea: 'L = \\pi ({{R}}^2 + {{r}}^2) + \\pi ({{R}} + {{r}}){{s}}'
+            },
+            dimensions: (p) => [
+                dimension('R', [0, 0, 0], [p.R, 0, 0]),
+                dimension('r', [0, p.t, 0], [p.r, p.t, 0]),
+                dimension('t', [0, 0, 0], [0, p.t, 0]),
+                dimension('s', [-p.R, 0, 0], [-p.r, p.t, 0], true)
+            ],
+            solid: (p) => new THREE.CylinderGeometry(p.r, p.R, p.t, 32).translate(0, p.t / 2, 0),
+            net: netLayoutConeFrustum
+        },
+        pyramidFrustum: {
+            name: 'Limas Terpancung',
+            desc: 'Limas segi empat terpancung adalah limas yang puncaknya dipotong sejajar alas, sehingga alas dan tutupnya berupa persegi dan sisi tegaknya berbentuk trapesium.',
+            color: 0x16a085,
+            params: {
+                a: { label: 'Sisi Bawah (a)', min: 3, max: 10, step: 0.1, val: 8 },
+                b: { label: 'Sisi Atas (b)', min: 1, max: 9, step: 0.1, val: 4 },
+                t: { label: 'Tinggi (t)', min: 2, max: 12, step: 0.1, val: 6 }
+            },
+            validate: (p) => (p.b < p.a ? null : I18n.t('validate.pyramidFrustum')),
+            derived: {
+                t_miring: {
+                    symbol: 't_{miring}',
+                    formula: '\\sqrt{ {{t}}^2 + \\left(\\frac{ {{a}} - {{b}} }{2}\\right)^2 }',
+                    value: pyramidFrustumSlant
+                }
+            },
+            volume: (p) => (1 / 3) * p.t * (p.a * p.a + p.a * p.b + p.b * p.b),
+            surfaceArea: (p) => p.a * p.a + p.b * p.b + 2 * (p.a + p.b) * pyramidFrustumSlant(p),
+            formulas: {
+                volume: 'V = \\frac{1}{3} {{t}} ({{a}}^2 + {{a}}{{b}} + {{b}}^2)',
+                surfaceArea: 'L = {{a}}^2 + {{b}}^2 + 2({{a}} + {{b}}){{t_miring}}'
+            },
+            dimensions: (p) => [
+                dimension('a', [-p.a / 2, 0, p.a / 2], [p.a / 2, 0, p.a / 2]),
+                dimension('b', [-p.b / 2, p.t, p.b / 2], [p.b / 2, p.t, p.b / 2]),
+                dimension('t', [0, 0, 0], [0, p.t, 0]),
+                dimension('t miring', [0, 0, p.a / 2], [0, p.t, p.b / 2], true)
+            ],
+            solid: (p) => new THREE.CylinderGeometry(p.b / Math.sqrt(2), p.a / Math.sqrt(2), p.t, 4)
+                .rotateY(Math.PI / 4)
+                .translate(0, p.t / 2, 0),
+            net: netLayoutPyramidFrustum
+        }
+    };
+
+    // ===================== LANGUAGE =====================
+    // The Indonesian texts above are kept aside, so switching language swaps
+    // translations in and back out in place; symbols only change their words
+    // (t_{miring} -> t_{slant}).
+
+    function originalTexts(shape) {
+        const texts = { name: shape.name, desc: shape.desc, params: {}, derived: {}, nets: {}, messages: Object.assign({}, shape.messages) };
+        Object.entries(shape.params).forEach(([key, param]) => {
+            texts.params[key] = { label: param.label, symbol: param.symbol };
+        });
+        Object.entries(shape.derived || {}).forEach(([key, item]) => {
+            texts.derived[key] = item.symbol;
+        });
+        Object.entries(shape.nets || {}).forEach(([key, net]) => {
+            texts.nets[key] = net.label;
+        });
+        if (shape.variant) texts.variant = { label: shape.variant.label, title: shape.variant.title };
+        return texts;
+    }
+
+    const originals = {};
+    Object.entries(shapes).forEach(([type, shape]) => {
+        originals[type] = originalTexts(shape);
+    });
+
+    function applyLanguage() {
+        const texts = I18n.shapeTexts();
+        Object.entries(originals).forEach(([type, original]) => {
+            const shape = shapes[type];
+            // Plugin shapes carry their own `translations`, by locale
+            const own = texts.shapes[type] || (shape.translations && shape.translations[I18n.getLocale()]) || {};
+            shape.name = own.name || original.name;
+            shape.desc = own.desc || original.desc;
+            Object.entries(original.params).forEach(([key, param]) => {
+                shape.params[key].label = (own.params && own.params[key]) || param.label;
+                if (param.symbol) shape.params[key].symbol = I18n.localizeSymbol(param.symbol);
+            });
+            Object.entries(original.derived).forEach(([key, symbol]) => {
+                shape.derived[key].symbol = I18n.localizeSymbol(symbol);
+            });
+            Object.entries(original.nets).forEach(([key, label]) => {
+                shape.nets[key].label = texts.nets[key] || label;
+            });
+            Object.entries(original.messages).forEach(([key, message]) => {
+                shape.messages[key] = (own.messages && own.messages[key]) || message;
+            });
+            if (original.variant) {
+                shape.variant.label = own.variant || original.variant.label;
+                shape.variant.title = texts.variantTitles[shape.variant.group] || original.variant.title;
+            }
+        });
+    }
+
+    applyLanguage();
+    I18n.onLocaleChange(applyLanguage);
+
+    // ===================== PLUGINS =====================
+    // Shapes added at run time by separate scripts (see plugins/), in the same
+    // form as the built-in ones above plus a `type` key.
+
+    const KEY = /^[A-Za-z][A-Za-z0-9_]*$/;
+    const REQUIRED_FUNCTIONS = ['volume', 'surfaceArea', 'solid'];
+    const OPTIONAL_FUNCTIONS = ['dimensions', 'netDimensions', 'unitCubes', 'validate'];
+    const registerListeners = [];
+
+    // The first problem with a plugin's shape definition, or null
+    function definitionError(d) {
+        if (!d || typeof d !== 'object') return 'the definition must be an object';
+        if (typeof d.type !== 'string' || !KEY.test(d.type)) return 'type must be a name such as "lPrism"';
+        if (shapes[d.type]) return `a shape "${d.type}" is already registered`;
+        if (typeof d.name !== 'string' || !d.name.trim()) return 'name must be a non-empty string';
+        if (d.color !== undefined && typeof d.color !== 'number') return 'color must be a number such as 0x4a90e2';
+        if (d.convex !== undefined && typeof d.convex !== 'boolean') return 'convex must be true or false';
+        if (d.messages !== undefined && (!d.messages || Object.values(d.messages).some(m => typeof m !== 'string'))) {
+            return 'messages must map names to texts';
+        }
+
+        const params = Object.entries(d.params || {});
+        if (!params.length) return 'params must define at least one parameter';
+        for (const [key, param] of params) {
+            if (!KEY.test(key)) return `parameter "${key}" must be a name without spaces`;
+            if (!param || typeof param.label !== 'string') return `parameter "${key}" needs a label`;
+            const numbers = ['min', 'max', 'step', 'val'];
+            if (!numbers.every(field => typeof param[field] === 'number' && isFinite(param[field]))) {
+                return `parameter "${key}" needs numeric min, max, step and val`;
+            }
+            if (!(param.min < param.max) || !(param.step > 0) || param.val < param.min || param.val > param.max) {
+                return `parameter "${key}" needs min < max, step > 0 and min <= val <= max`;
+            }
+        }
+
+        for (const key of REQUIRED_FUNCTIONS) {
+            if (typeof d[key] !== 'function') return `${key} must be a function of the parameters`;
+        }
+        for (const key of OPTIONAL_FUNCTIONS) {
+            if (d[key] !== undefined && typeof d[key] !== 'function') return `${key} must be a function`;
+        }
+        if ((typeof d.net === 'function') === !!d.nets) return 'give either a net layout function or nets';
+        for (const [key, net] of Object.entries(d.nets || {})) {
+            if (!net || typeof net.label !== 'string' || typeof net.layout !== 'function') {
+                return `net "${key}" needs a label and a layout function`;
+            }
+        }
+        for (const [key, item] of Object.entries(d.derived || {})) {
+            if (!KEY.test(key) || !item || typeof item.symbol !== 'string' || typeof item.formula !== 'string' ||
+                typeof item.value !== 'function') {
+                return `derived value "${key}" needs a symbol, a formula and a value function`;
+            }
+        }
+
+        // Formulas may only name parameters and derived values
+        const known = Object.keys(d.params).concat(Object.keys(d.derived || {}));
+        const templates = [['volume', (d.formulas || {}).volume], ['surfaceArea', (d.formulas || {}).surfaceArea]]
+            .concat(Object.entries(d.derived || {}).map(([key, item]) => [key, item.formula]));
+        for (const [key, template] of templates) {
+            if (typeof template !== 'string') return `formulas.${key} must be a LaTeX string`;
+            const unknown = (template.match(/\{\{(\w+)\}\}/g) || []).map(m => m.slice(2, -2)).find(name => !known.includes(name));
+            if (unknown) return `formula "${key}" uses {{${unknown}}}, which is not a parameter or derived value`;
+        }
+
+        // The default values must give a real solid and a net
+        const values = {};
+        params.forEach(([key, param]) => { values[key] = param.val; });
+        const volume = d.volume(values);
+        const area = d.surfaceArea(values);
+        if (!(volume > 0) || !(area > 0)) return 'volume and surface area must be positive numbers for the default values';
+        if (d.validate && d.validate(values)) return 'the default values must pass the shape\'s own validate';
+        const layout = d.nets ? d.nets[Object.keys(d.nets)[0]].layout(values) : d.net(values);
+        if (!layout || !Array.isArray(layout.faces) || !layout.faces.length) return 'the net layout must return { faces: [...] }';
+        return null;
+    }
+
+    /**
+     * Adds a shape from a plugin script. The definition has the fields of the
+     * shapes above (name, desc, color, params, volume, surfaceArea, formulas,
+     * solid, net or nets, and optionally derived, dimensions, inverse, ...),
+     * its `type` key, `messages` for its own texts (e.g. validate's, read back
+     * with get(type).messages), `convex: false` when it has dents (no
+     * cross-sections), and `translations` such as
+     * { en: { name, desc, params, messages } }.
+     * Listeners from onRegister (e.g. the shape buttons) are told.
+     * @throws {Error} When the definition is incomplete or inconsistent.
+     * @returns {string} The new shape's type.
+     */
+    function registerShape(definition) {
+        const error = definitionError(definition);
+        if (error) throw new Error(`registerShape: ${error}`);
+        const shape = Object.assign({ desc: '', color: 0x4a90e2 }, definition);
+        delete shape.type;
+        shapes[definition.type] = shape;
+        originals[definition.type] = originalTexts(shape);
+        applyLanguage();
+        registerListeners.forEach(callback => callback(definition.type));
+        return definition.type;
+    }
+
+    /**
+     * Calls `callback(type)` for every shape registered from now on.
+     */
+    function onRegister(callback) {
+        registerListeners.push(callback);
+    }
+
+    // Building blocks for plugin nets and dimension lines
+    const helpers = { rectPoints, circlePoints, polygonEdges, dimension, RIGHT_ANGLE };
+
+    // ===================== API =====================
+
+    function get(type) {
+        return shapes[type];
+    }
+
+    function types() {
+        return Object.keys(shapes);
+    }
+
+    /**
+     * Net layouts a shape can be unfolded into, as [{ key, label }]. Shapes
+     * with a single net return an empty list.
+     */
+    function netLayouts(type) {
+        const nets = shapes[type].nets;
+        if (!nets) return [];
+        return Object.entries(nets).map(([key, net]) => ({ key, label: net.label }));
+    }
+
+    /**
+     * The net layout of a shape. `key` picks one of its `nets`; unknown or
+     * missing keys fall back to the first one.
+     */
+    function netLayout(type, params, key) {
+        const shape = shapes[type];
+        if (!shape.nets) return shape.net(params);
+        const net = shape.nets[key] || shape.nets[Object.keys(shape.nets)[0]];
+        return net.layout(params);
+    }
+
+    /**
+     * Shapes in the same variant group as `type` (e.g. the triangular prisms by
+     * base type), as [{ type, label }]. Empty when the shape has no variants.
+     */
+    function variants(type) {
+        const own = shapes[type].variant;
+        if (!own) return [];
+        return types()
+            .filter((key) => shapes[key].variant && shapes[key].variant.group === own.group)
+            .map((key) => ({ type: key, label: shapes[key].variant.label }));
+    }
+
+    /**
+     * Default parameter values of a shape, e.g. { s: 5 } for the cube.
+     */
+    function defaultParams(type) {
+        const values = {};
+        Object.entries(shapes[type].params).forEach(([key, param]) => {
+            values[key] = param.val;
+        });
+        return values;
+    }
+
+    /**
+     * Checks parameters against their ranges and the shape's own constraints
+     * (e.g. a frustum's top must be smaller than its bottom).
+     * @param {Object} [units] - { scale, label } when lengths are given in another
+     *     unit than the ranges (cm), e.g. { scale: 10, label: 'mm' }.
+     * @returns {string|null} An error message, or null when the values are valid.
+     */
+    function validate(type, params, units) {
+        const shape = shapes[type];
+        for (const [key, param] of Object.entries(shape.params)) {
+            const value = params[key];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                return I18n.t('validate.number', { label: param.label });
+            }
+            const scale = units && !param.unitless ? units.scale : 1;
+            const min = Number((param.min * scale).toPrecision(12));
+            const max = Number((param.max * scale).toPrecision(12));
+            if (value < min || value > max) {
+                const unit = units && !param.unitless ? ` ${units.label}` : '';
+                return I18n.t('validate.range', { label: param.label, min: I18n.number(min), max: I18n.number(max), unit });
+            }
+            if (param.integer && !Number.isInteger(value)) {
+                return I18n.t('validate.integer', { label: param.label });
+            }
+        }
+        return shape.validate ? shape.validate(params) : null;
+    }
+
+    const SOLVE_SAMPLES = 200;
+
+    // Roots of f on [min, max]: sign changes between samples, refined by bisection
+    function findRoots(f, min, max) {
+        const roots = [];
+        let a = min;
+        let fa = f(a);
+        for (let i = 1; i <= SOLVE_SAMPLES; i++) {
+            const b = min + ((max - min) * i) / SOLVE_SAMPLES;
+            const fb = f(b);
+            if (fa === 0) {
+                roots.push(a);
+            } else if (fa * fb < 0) {
+                let lo = a;
+                let hi = b;
+                for (let k = 0; k < 60; k++) {
+                    const mid = (lo + hi) / 2;
+                    if (f(lo) * f(mid) <= 0) hi = mid;
+                    else lo = mid;
+                }
+                roots.push((lo + hi) / 2);
+            }
+            a = b;
+            fa = fb;
+        }
+        if (fa === 0) roots.push(a);
+        return roots;
+    }
+
+    /**
+     * Every valid value of the parameter `unknown` for which the shape has the
+     * given volume or surface area, with the other parameters fixed. There can
+     * be more than one, e.g. two sides of a scalene base that give the same
+     * area. Uses the shape's closed form from `inverse` when there is one,
+     * root-finding within the range otherwise.
+     * @param {string} quantity - 'volume' or 'surfaceArea'.
+     * @returns {number[]} The values, smallest first; empty when none fits.
+     */
+    function solveAll(type, quantity, target, params, unknown) {
+        const shape = shapes[type];
+        const param = shape.params[unknown];
+        if (!param || param.integer || !(target > 0)) return [];
+
+        const withValue = (x) => Object.assign({}, params, { [unknown]: x });
+        const closed = shape.inverse && shape.inverse[quantity] && shape.inverse[quantity][unknown];
+        const candidates = closed
+            ? [closed(target, params)]
+            : findRoots((x) => shape[quantity](withValue(x)) - target, param.min, param.max);
+        return candidates.filter((x) => isFinite(x) && !validate(type, withValue(x)));
+    }
+
+    /**
+     * The first value from solveAll.
+     * @returns {number|null} The value, or null when no valid value in range fits.
+     */
+    function solve(type, quantity, target, params, unknown) {
+        const values = solveAll(type, quantity, target, params, unknown);
+        return values.length ? values[0] : null;
+    }
+
+    // ===================== FORMULA TEMPLATES =====================
+
+    const PLACEHOLDER = /\{\{(\w+)\}\}/;
+
+    function formatValue(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    // True when a number written right after `text` needs an explicit \times:
+    // after digits, letters, closing brackets and \pi, but not after operators
+    // such as \times, \left( or ^.
+    function endsWithOperand(text) {
+        const command = /\\([a-zA-Z]+)\s*$/.exec(text);
+        if (command) return command[1] === 'pi';
+        return /[0-9a-zA-Z)}]\s*$/.test(text);
+    }
+
+    function symbolsOf(shape) {
+        const symbols = {};
+        Object.entries(shape.params).forEach(([key, param]) => {
+            symbols[key] = param.symbol || key;
+        });
+        Object.entries(shape.derived || {}).forEach(([key, item]) => {
+            symbols[key] = item.symbol;
+        });
+        return symbols;
+    }
+
+    /**
+     * Fills a formula template with symbols, or with numbers when `values` is
+     * given. Numbers get an explicit \times where the symbolic form relies on
+     * juxtaposition (2st -> 2 \times 8 \times 10.77).
+     */
+    function renderFormula(template, symbols, values) {
+        const parts = template.split(new RegExp(PLACEHOLDER.source, 'g'));
+        let out = parts[0];
+        for (let i = 1; i < parts.length; i += 2) {
+            const next = parts[i + 1];
+            if (!values) {
+                out += symbols[parts[i]];
+            } else {
+                if (endsWithOperand(out)) out = out.trimEnd() + ' \\times ';
+                out += `{${values[parts[i]]}}`;
+                if (/^\s*([0-9a-zA-Z(]|\\pi)/.test(next)) out += ' \\times';
+            }
+            out += next;
+        }
+        return out;
+    }
+
+    /**
+     * Volume, surface area, derived values (e.g. slant height) and symbolic
+     * formulas for the given parameters.
+     */
+    function calculate(type, params) {
+        const shape = shapes[type];
+        const symbols = symbolsOf(shape);
+        const derived = {};
+        Object.entries(shape.derived || {}).forEach(([key, item]) => {
+            derived[key] = item.value(params);
+        });
+        return {
+            volume: shape.volume(params),
+            surfaceArea: shape.surfaceArea(params),
+            derived,
+            formulas: {
+                volume: renderFormula(shape.formulas.volume, symbols),
+                surfaceArea: renderFormula(shape.formulas.surfaceArea, symbols)
+            }
+        };
+    }
+
+    /**
+     * Worked solution for 'volume' or 'surfaceArea' as a list of LaTeX lines:
+     * first every derived value the formula needs, then the formula itself,
+     * each written symbolically, with numbers substituted, and evaluated.
+     * @param {function} [format] - Number formatter, two decimals by default.
+     */
+    function solutionSteps(type, params, quantity, format = formatValue) {
+        const shape = shapes[type];
+        const derived = shape.derived || {};
+        const symbols = symbolsOf(shape);
+        const values = {};
+        Object.keys(shape.params).forEach((key) => {
+            values[key] = format(params[key]);
+        });
+
+        const steps = [];
+        const step = (lhs, expr, value) => {
+            // Formatters may write a decimal comma, plain or as {,} for LaTeX
+            const shown = Number(String(format(value)).replace('{,}', '.').replace(',', '.'));
+            const rounded = Math.abs(shown - value) > 1e-9 * Math.abs(value);
+            steps.push(`${lhs} = ${renderFormula(expr, symbols)} = ${renderFormula(expr, symbols, values)} ` +
+                `${rounded ? '\\approx' : '='} ${format(value)}`);
+        };
+
+        // Depth-first so every derived value is worked out before it is used
+        const visit = (template) => {
+            template.split(new RegExp(PLACEHOLDER.source, 'g')).forEach((key, i) => {
+                if (i % 2 === 0 || !derived[key] || values[key] !== undefined) return;
+                visit(derived[key].formula);
+                const value = derived[key].value(params);
+                step(derived[key].symbol, derived[key].formula, value);
+                values[key] = format(value);
+            });
+        };
+
+        const [lhs, expr] = shape.formulas[quantity].split(/\s*=\s*(.*)/);
+        visit(expr);
+        step(lhs, expr, shape[quantity](params));
+        return steps;
+    }
+
+    return {
+        shapes,
+        get,
+        types,
+        variants,
+        netLayouts,
+        netLayout,
+        defaultParams,
+        validate,
+        solve,
+        solveAll,
+        calculate,
+        solutionSteps,
+        registerShape,
+        onRegister,
+        helpers
+    };
+});
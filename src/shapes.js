@@ -1,40 +1,42 @@
 /**
  * src/shapes.js
- * Restored Clean implementation: Static Solid 3D Shapes vs Separate Flat Net Views.
- * Uses the ROBUST Pivot logic for Nets to ensure correctness.
- * NO Animation - just mode switching.
+ * 3D scene: solid meshes and hinged nets for the shapes in ShapeRegistry.
+ * Nets are built as a pivot hierarchy (one pivot per hinge) so they can be
+ * folded continuously from the flat net (0) to the closed solid (1).
+ * New values for the shape on screen refill its existing geometry; whatever
+ * leaves the scene is disposed. The scene is drawn on demand (requestRender),
+ * not every frame.
  */
 
 let scene, camera, renderer, controls;
 let currentMesh = null;
+let compareMesh = null; // second solid in compare mode, to the right of the first
 let container;
 let currentMode = 'solid';
+let currentFold = 0;
+let renderQueued = false;
+// Which dimension lines to draw, and how to write a length (cm) on them
+let dimensionOptions = { params: false, derived: false, format: (value) => value.toFixed(2) };
 
-// Default parameters
-const defaultParams = {
-    cube: { s: 5 },
-    box: { p: 6, l: 4, t: 3 },
-    cylinder: { r: 3, t: 7 },
-    pyramid: { s: 8, t: 10 },
-    cone: { r: 5, t: 10 },
-    prism: { a: 6, t_alas: 5, t_prisma: 10 }
-};
+const DIMENSION_COLOR = 0xc0392b;
+const DERIVED_DIMENSION_COLOR = 0x8e44ad;
+const LABEL_HEIGHT = 0.6; // scene units
 
 // ===================== HELPERS =====================
 
-function createMesh(geometry, color) {
+/**
+ * @param {boolean} [smooth] - Smooth shading, edges only at sharp creases
+ *     (for round solids such as the sphere).
+ */
+function createMesh(geometry, color, smooth = false) {
     const material = new THREE.MeshStandardMaterial({
         color,
         side: THREE.DoubleSide,
         transparent: true,
         opacity: 0.9,
-        flatShading: true
+        flatShading: !smooth
     });
-    const mesh = new THREE.Mesh(geometry, material);
-    const edges = new THREE.EdgesGeometry(geometry);
-    const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 2 }));
-    mesh.add(line);
-    return mesh;
+    return addEdges(new THREE.Mesh(geometry, material), smooth ? 30 : 1);
 }
 
 function createFlatFace(geometry, color) {
@@ -44,330 +46,384 @@ function createFlatFace(geometry, color) {
         transparent: true,
         opacity: 0.85
     });
-    const mesh = new THREE.Mesh(geometry, material);
-    const edges = new THREE.EdgesGeometry(geometry);
-    const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 2 }));
-    mesh.add(line);
-    return mesh;
-}
-
-function createPivot(x, y, z) {
-    const pivot = new THREE.Group();
-    pivot.position.set(x, y, z);
-    return pivot;
-}
-
-// ===================== SOLID SHAPES =====================
-
-function createSolidCube(params) {
-    const { s } = params;
-    const geom = new THREE.BoxGeometry(s, s, s);
-    const mesh = createMesh(geom, 0x4a90e2);
-    mesh.position.y = s / 2;
-    return mesh;
+    return addEdges(new THREE.Mesh(geometry, material), 1);
 }
 
-function createSolidBox(params) {
-    const { p, l, t } = params;
-    const geom = new THREE.BoxGeometry(p, t, l);
-    const mesh = createMesh(geom, 0xe24a4a);
-    mesh.position.y = t / 2;
+// Black outline of the edges sharper than `angle` degrees, kept for setMeshGeometry
+function addEdges(mesh, angle) {
+    const edges = new THREE.EdgesGeometry(mesh.geometry, angle);
+    const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 2 }));
+    mesh.add(line);
+    mesh.userData.edges = line;
+    mesh.userData.edgeAngle = angle;
     return mesh;
 }
 
-function createSolidCylinder(params) {
-    const { r, t } = params;
-    const geom = new THREE.CylinderGeometry(r, r, t, 32);
-    const mesh = createMesh(geom, 0x4a90e2);
-    mesh.position.y = t / 2;
-    return mesh;
+/**
+ * Copies `source` into `target` when both have the same attributes and
+ * sizes, so the GPU buffers already uploaded are refilled instead of
+ * reallocated. Returns the geometry to keep; the other one is disposed.
+ */
+function updateGeometry(target, source) {
+    const names = Object.keys(source.attributes);
+    const fits = (a, b) => !!a && !!b && a.array.length === b.array.length && a.itemSize === b.itemSize;
+    const same = names.length === Object.keys(target.attributes).length &&
+        names.every(name => fits(target.attributes[name], source.attributes[name])) &&
+        (source.index ? fits(target.index, source.index) : !target.index);
+    if (!same) {
+        target.dispose();
+        return source;
+    }
+    names.forEach((name) => {
+        target.attributes[name].array.set(source.attributes[name].array);
+        target.attributes[name].needsUpdate = true;
+    });
+    if (source.index) {
+        target.index.array.set(source.index.array);
+        target.index.needsUpdate = true;
+    }
+    target.clearGroups();
+    source.groups.forEach(({ start, count, materialIndex }) => target.addGroup(start, count, materialIndex));
+    // Recomputed when next needed (culling, picking, Box3)
+    target.boundingBox = null;
+    target.boundingSphere = null;
+    source.dispose();
+    return target;
 }
 
-function createSolidPyramid(params) {
-    const { s, t } = params;
-    const radius = s / Math.sqrt(2);
-    const geom = new THREE.ConeGeometry(radius, t, 4);
-    geom.rotateY(Math.PI / 4);
-    const mesh = createMesh(geom, 0xe2a04a);
-    mesh.position.y = t / 2;
-    return mesh;
+/**
+ * Gives a mesh from createMesh / createFlatFace a new shape, with its edges.
+ */
+function setMeshGeometry(mesh, geometry) {
+    const { edges, edgeAngle } = mesh.userData;
+    edges.geometry = updateGeometry(edges.geometry, new THREE.EdgesGeometry(geometry, edgeAngle));
+    mesh.geometry = updateGeometry(mesh.geometry, geometry);
 }
 
-function createSolidCone(params) {
-    const { r, t } = params;
-    const geom = new THREE.ConeGeometry(r, t, 32);
-    const mesh = createMesh(geom, 0xe24a90);
-    mesh.position.y = t / 2;
-    return mesh;
+/**
+ * Frees the GPU memory of an object and everything in it: geometries,
+ * materials and their textures. Used for every object leaving the scene.
+ */
+function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        const materials = [].concat(child.material || []);
+        materials.forEach((material) => {
+            if (material.map) material.map.dispose();
+            material.dispose();
+        });
+    });
 }
 
-function createSolidPrism(params) {
-    const { a, t_alas, t_prisma } = params;
-    const shape = new THREE.Shape();
-    shape.moveTo(-a / 2, 0);
-    shape.lineTo(a / 2, 0);
-    shape.lineTo(0, t_alas);
-    shape.closePath();
-
-    // Extrude depth
-    const extrudeSettings = { depth: t_prisma, bevelEnabled: false };
-    const geom = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    geom.translate(0, 0, -t_prisma / 2);
-    // Lay it on the rectangular base so height is t_alas?
-    // User liked the previous solid orientation.
-    geom.rotateX(-Math.PI / 2);
-    const mesh = createMesh(geom, 0x4ae290);
-    return mesh;
+function createPivot(x, y, z) {
+    const pivot = new THREE.Group();
+    pivot.position.set(x, y, z);
+    return pivot;
 }
 
-// ===================== NET SHAPES (STATIC - NO ANIMATION) =====================
+// ===================== HINGED NETS =====================
 
 /**
- * Cube Net
+ * Bent surfaces, built as a grid of (cols + 1) x (rows + 1) points.
+ * `flat(bend, i, j)` places grid point (i, j) in [0, 1]² on the flat face as
+ * [along hinge, away from hinge]; `map(bend, u, w, fold)` bends such a point
+ * to [along hinge, up, away from hinge], all relative to the hinge centre.
+ * `absolute` types map grid points straight to net coordinates instead.
  */
-function createNetCube(params) {
-    const { s } = params;
-    const group = new THREE.Group();
-    const color = 0x4a90e2;
-    const geom = new THREE.PlaneGeometry(s, s);
-
-    // Direct positioning is easiest for static nets
-    function addFace(px, pz) {
-        const mesh = createFlatFace(geom.clone(), color);
-        mesh.rotation.x = -Math.PI / 2;
-        mesh.position.set(px, 0.01, pz);
-        group.add(mesh);
+const NET_BENDS = {
+    // Cylinder mantle: curls around the base circle, curvature grows with fold
+    roll: {
+        cols: 48,
+        rows: 1,
+        flat: (bend, i, j) => [(i - 0.5) * bend.width, j * bend.height],
+        map(bend, u, w, fold) {
+            const k = fold / bend.radius;
+            if (k < 1e-6) return [u, 0, w];
+            return [Math.sin(k * u) / k, (1 - Math.cos(k * u)) / k, w];
+        }
+    },
+    // Cone mantle (or a frustum's annular sector when `inner` > 0): the
+    // half-angle at the apex closes from 90° (flat) to asin(radius / slant).
+    // Closing it linearly keeps the sector above the ground while the hinge
+    // flips it over.
+    cone: {
+        cols: 48,
+        rows: 1,
+        flat(bend, i, j) {
+            const L = bend.slant;
+            const alpha = (i - 0.5) * (2 * Math.PI * bend.radius / L);
+            const rho = L - j * (L - (bend.inner || 0));
+            return [rho * Math.sin(alpha), L - rho * Math.cos(alpha)];
+        },
+        map(bend, u, w, fold) {
+            const L = bend.slant;
+            const rho = Math.hypot(u, L - w);
+            const alpha = Math.atan2(u, L - w);
+            const halfAngle = Math.PI / 2 - fold * (Math.PI / 2 - Math.asin(bend.radius / L));
+            const sin = Math.sin(halfAngle);
+            const cos = Math.cos(halfAngle);
+            const psi = alpha / sin;
+            return [rho * sin * Math.sin(psi), cos * (rho - L), L * sin - rho * sin * Math.cos(psi)];
+        }
+    },
+    // Sphere gore: a sphere has no true net, so the gore morphs from its flat
+    // outline onto the sphere
+    gore: {
+        cols: 4,
+        rows: 16,
+        absolute: true,
+        flat: (bend, i, j) => [i, j],
+        map(bend, i, j, fold) {
+            const r = bend.radius;
+            const lat = bend.lat[0] + j * (bend.lat[1] - bend.lat[0]);
+            const across = (i - 0.5) * bend.width;
+            const fx = bend.center[0] + bend.north[0] * r * lat + bend.perp[0] * across * Math.cos(lat);
+            const fz = bend.center[1] + bend.north[1] * r * lat + bend.perp[1] * across * Math.cos(lat);
+            const lon = bend.lon + across / r;
+            const sx = r * Math.cos(lat) * Math.sin(lon);
+            const sy = bend.centerY + r * Math.sin(lat);
+            const sz = r * Math.cos(lat) * Math.cos(lon);
+            return [fx + (sx - fx) * fold, sy * fold, fz + (sz - fz) * fold];
+        }
     }
+};
 
-    addFace(0, 0);       // Center
-    addFace(0, -s);      // Top (Back)
-    addFace(0, s);       // Bottom (Front)
-    addFace(-s, 0);      // Left
-    addFace(s, 0);       // Right
-    addFace(s * 2, 0);   // Back-Back (Far Right)
-
-    return group;
+function createFaceGeometry(points, origin) {
+    const shape = new THREE.Shape(points.map(([x, y]) => new THREE.Vector2(x, y)));
+    const geom = new THREE.ShapeGeometry(shape);
+    // Shape XY plane -> ground XZ plane, relative to the face's hinge
+    geom.rotateX(Math.PI / 2);
+    geom.translate(-origin.x, 0, -origin.z);
+    return geom;
 }
 
-/**
- * Box Net
- */
-function createNetBox(params) {
-    const { p, l, t } = params;
-    const group = new THREE.Group();
-    const color = 0xe24a4a;
-
-    // Center (Bottom): p x l
-    const bottom = createFlatFace(new THREE.PlaneGeometry(p, l), color);
-    bottom.rotation.x = -Math.PI / 2;
-    bottom.position.y = 0.01;
-    group.add(bottom);
-
-    // Front (p x t)
-    const front = createFlatFace(new THREE.PlaneGeometry(p, t), color);
-    front.rotation.x = -Math.PI / 2;
-    front.position.set(0, 0.01, l / 2 + t / 2);
-    group.add(front);
-
-    // Back (p x t)
-    const back = createFlatFace(new THREE.PlaneGeometry(p, t), color);
-    back.rotation.x = -Math.PI / 2;
-    back.position.set(0, 0.01, -l / 2 - t / 2);
-    group.add(back);
-
-    // Top (p x l)
-    const top = createFlatFace(new THREE.PlaneGeometry(p, l), color);
-    top.rotation.x = -Math.PI / 2;
-    top.position.set(0, 0.01, -l / 2 - t - l / 2);
-    group.add(top);
-
-    // Left (t x l) (Note: t is width in Net layout)
-    const sideGeom = new THREE.PlaneGeometry(t, l);
-    const left = createFlatFace(sideGeom, color);
-    left.rotation.x = -Math.PI / 2;
-    left.position.set(-p / 2 - t / 2, 0.01, 0);
-    group.add(left);
-
-    // Right (t x l)
-    const right = createFlatFace(sideGeom.clone(), color);
-    right.rotation.x = -Math.PI / 2;
-    right.position.set(p / 2 + t / 2, 0.01, 0);
-    group.add(right);
+function createBentFace(bend, frame, color) {
+    const type = NET_BENDS[bend.type];
+    const { cols, rows } = type;
+    const up = new THREE.Vector3(0, 1, 0);
+    const index = (i, j) => i * (rows + 1) + j;
+    const positions = new Float32Array((cols + 1) * (rows + 1) * 3);
+    const indices = [];
+    for (let i = 0; i < cols; i++) {
+        for (let j = 0; j < rows; j++) {
+            const a = index(i, j);
+            const b = index(i + 1, j);
+            indices.push(a, b, a + 1, a + 1, b, b + 1);
+        }
+    }
 
-    return group;
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setIndex(indices);
+
+    // Outline: along the hinge side, up the far column, back, down the first
+    const loop = [];
+    for (let i = 0; i <= cols; i++) loop.push(index(i, 0));
+    for (let j = 1; j <= rows; j++) loop.push(index(cols, j));
+    for (let i = cols - 1; i >= 0; i--) loop.push(index(i, rows));
+    for (let j = rows - 1; j > 0; j--) loop.push(index(0, j));
+    const outline = new Float32Array(loop.length * 3);
+    const lineGeom = new THREE.BufferGeometry();
+    lineGeom.setAttribute('position', new THREE.BufferAttribute(outline, 3));
+
+    const mesh = new THREE.Mesh(geom, new THREE.MeshStandardMaterial({
+        color,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.85
+    }));
+    mesh.add(new THREE.LineLoop(lineGeom, new THREE.LineBasicMaterial({ color: 0x000000 })));
+
+    // A face of the same bend type takes new measurements in place
+    mesh.userData.setBend = (nextBend, nextFrame) => {
+        bend = nextBend;
+        frame = nextFrame;
+    };
+
+    const p = new THREE.Vector3();
+    mesh.userData.setFold = (fold) => {
+        for (let i = 0; i <= cols; i++) {
+            for (let j = 0; j <= rows; j++) {
+                const [u, w] = type.flat(bend, i / cols, j / rows);
+                const [x, y, z] = type.map(bend, u, w, fold);
+                if (type.absolute) {
+                    p.set(x, y, z).sub(frame.origin);
+                } else {
+                    p.copy(frame.axis).multiplyScalar(x).addScaledVector(up, y).addScaledVector(frame.outward, z);
+                }
+                p.toArray(positions, index(i, j) * 3);
+            }
+        }
+        loop.forEach((v, k) => {
+            outline[k * 3] = positions[v * 3];
+            outline[k * 3 + 1] = positions[v * 3 + 1];
+            outline[k * 3 + 2] = positions[v * 3 + 2];
+        });
+        geom.attributes.position.needsUpdate = true;
+        lineGeom.attributes.position.needsUpdate = true;
+        geom.computeVertexNormals();
+        geom.computeBoundingSphere();
+        lineGeom.computeBoundingSphere();
+    };
+    return mesh;
 }
 
 /**
- * Cylinder Net
+ * Builds a net layout (see src/registry.js) as a hierarchy of pivots, one per hinge.
+ * A face hanging from a bent face follows the bent surface at its hinge.
+ * The returned group exposes `userData.setFold(0..1)`, and
+ * `userData.setLayout(layout)` to take new measurements in place; it returns
+ * false when the layout's faces don't match the net's (then build a new one).
  */
-function createNetCylinder(params) {
-    const { r, t } = params;
+function createHingedNet(layout, color) {
     const group = new THREE.Group();
-    const color = 0x4a90e2;
-    const circ = 2 * Math.PI * r;
-
-    // Mantle
-    const mantle = createFlatFace(new THREE.PlaneGeometry(circ, t), color);
-    mantle.rotation.x = -Math.PI / 2;
-    mantle.position.y = 0.01;
-    group.add(mantle);
-
-    // Top Circle
-    const capGeom = new THREE.CircleGeometry(r, 64);
-    const top = createFlatFace(capGeom, color);
-    top.rotation.x = -Math.PI / 2;
-    top.position.set(0, 0.01, -t / 2 - r);
-    group.add(top);
-
-    // Bottom Circle
-    const bot = createFlatFace(capGeom.clone(), color);
-    bot.rotation.x = -Math.PI / 2;
-    bot.position.set(0, 0.01, t / 2 + r);
-    group.add(bot);
+    group.position.y = 0.01;
+    const up = new THREE.Vector3(0, 1, 0);
+    const nodes = [];
+
+    layout.faces.forEach((face) => {
+        const node = { face, origin: new THREE.Vector3(), axis: null, attach: null, mesh: null, pivot: createPivot(0, 0, 0) };
+        (face.parent === undefined ? group : nodes[face.parent].pivot).add(node.pivot);
+        nodes.push(node);
+    });
 
+    // Places every hinge and shapes every face, making the meshes on the first call
+    const applyLayout = (faces) => {
+        faces.forEach((face, i) => {
+            const node = nodes[i];
+            node.face = face;
+            if (face.parent !== undefined) {
+                const parent = nodes[face.parent];
+                const [a, b] = face.hinge;
+                node.origin.set((a[0] + b[0]) / 2, 0, (a[1] + b[1]) / 2);
+
+                // Orient the axis so a positive turn lifts the face off the ground
+                const axis = new THREE.Vector3(b[0] - a[0], 0, b[1] - a[1]).normalize();
+                const cx = face.points.reduce((sum, pt) => sum + pt[0], 0) / face.points.length;
+                const cz = face.points.reduce((sum, pt) => sum + pt[1], 0) / face.points.length;
+                if (axis.z * (cx - node.origin.x) - axis.x * (cz - node.origin.z) < 0) axis.negate();
+                node.axis = axis;
+                node.outward = new THREE.Vector3(axis.z, 0, -axis.x);
+
+                const offset = node.origin.clone().sub(parent.origin);
+                node.pivot.position.copy(offset);
+
+                node.attach = parent.face.bend && !NET_BENDS[parent.face.bend.type].absolute
+                    ? { parent, u: offset.dot(parent.axis), w: offset.dot(parent.outward) }
+                    : null;
+            }
+
+            if (face.bend) {
+                const frame = {
+                    origin: node.origin,
+                    axis: node.axis || new THREE.Vector3(1, 0, 0),
+                    outward: node.outward || new THREE.Vector3(0, 0, 1)
+                };
+                if (node.mesh) node.mesh.userData.setBend(face.bend, frame);
+                else node.mesh = createBentFace(face.bend, frame, color);
+            } else if (node.mesh) {
+                setMeshGeometry(node.mesh, createFaceGeometry(face.points, node.origin));
+            } else {
+                node.mesh = createFlatFace(createFaceGeometry(face.points, node.origin), color);
+            }
+            if (!node.mesh.parent) node.pivot.add(node.mesh);
+        });
+    };
+    applyLayout(layout.faces);
+
+    // Moves a face's hinge onto its bent parent and returns the surface tilt there
+    const attachToBend = (node, fold) => {
+        const { parent, u, w } = node.attach;
+        const bend = parent.face.bend;
+        const map = NET_BENDS[bend.type].map;
+        const toVector = ([x, y, z]) => parent.axis.clone().multiplyScalar(x).addScaledVector(up, y).addScaledVector(parent.outward, z);
+        const at = toVector(map(bend, u, w, fold));
+        const dir = toVector(map(bend, u, w + 1e-3, fold)).sub(at);
+        node.pivot.position.copy(at);
+        return Math.atan2(dir.dot(up), dir.dot(node.outward));
+    };
+
+    group.userData.setFold = (fold) => {
+        nodes.forEach((node) => {
+            if (node.axis) {
+                const tilt = node.attach ? attachToBend(node, fold) : 0;
+                node.pivot.quaternion.setFromAxisAngle(node.axis, tilt + node.face.angle * fold);
+            }
+            if (node.mesh.userData.setFold) node.mesh.userData.setFold(fold);
+        });
+    };
+    // Same faces on the same hinges, with the same kind of bend
+    const bendType = face => (face.bend ? face.bend.type : null);
+    group.userData.setLayout = (next) => {
+        const fits = next.faces.length === nodes.length && next.faces.every((face, i) =>
+            face.parent === nodes[i].face.parent && bendType(face) === bendType(nodes[i].face));
+        if (!fits) return false;
+        applyLayout(next.faces);
+        return true;
+    };
+    group.userData.setFold(0);
+    group.userData.faces = nodes.map((node) => node.mesh);
     return group;
 }
 
-/**
- * Pyramid Net
- */
-function createNetPyramid(params) {
-    const { s, t } = params;
-    const group = new THREE.Group();
-    const color = 0xe2a04a;
-    const half = s / 2;
-    const slant = Math.sqrt(t * t + half * half);
-
-    // Base
-    const base = createFlatFace(new THREE.PlaneGeometry(s, s), color);
-    base.rotation.x = -Math.PI / 2;
-    base.position.y = 0.01;
-    group.add(base);
-
-    // Triangle Geom
-    const triShape = new THREE.Shape();
-    triShape.moveTo(-half, 0);
-    triShape.lineTo(half, 0);
-    triShape.lineTo(0, slant);
-    const triGeom = new THREE.ShapeGeometry(triShape);
-
-    function attachTri(px, pz, roty) {
-        const pivot = createPivot(px, 0.01, pz);
-        const mesh = createFlatFace(triGeom.clone(), color);
-        // Lay flat pointing outwards
-        mesh.rotation.x = -Math.PI / 2;
-        pivot.rotation.y = roty;
-        pivot.add(mesh);
-        group.add(pivot);
-    }
-
-    // North (Back) - Pointing -Z
-    attachTri(0, -half, 0);
-
-    // South (Front) - Pointing +Z (180 deg)
-    attachTri(0, half, Math.PI);
-
-    // East (Right) - Pointing +X (-90 deg)
-    attachTri(half, 0, -Math.PI / 2);
-
-    // West (Left) - Pointing -X (+90 deg)
-    attachTri(-half, 0, Math.PI / 2);
-
-    return group;
-}
+// ===================== DIMENSION LINES =====================
 
 /**
- * Cone Net
+ * Text on a sprite, so it always faces the camera. Drawn over the shape.
+ * Returns null where canvases can't be drawn on.
  */
-function createNetCone(params) {
-    const { r, t } = params;
-    const group = new THREE.Group();
-    const color = 0xe24a90;
-    const slant = Math.sqrt(r * r + t * t);
-    const sectorAngle = (2 * Math.PI * r) / slant;
-
-    // Sector
-    const shape = new THREE.Shape();
-    shape.moveTo(0, 0);
-    // Symmetric around Z- axis (North)? Or +Z?
-    // Let's standardise sector center around -Z axis (angle PI/2 in 2D space? No, PI/2 is +Y).
-    // In ShapeGeometry: X, Y.
-    // +Y usually maps to -Z after RotX(-90).
-    // So let's center sector around +Y axis in Shape space.
-    const startA = Math.PI / 2 - sectorAngle / 2;
-    const endA = Math.PI / 2 + sectorAngle / 2;
-    shape.absarc(0, 0, slant, startA, endA, false);
-    shape.lineTo(0, 0);
-
-    const sector = createFlatFace(new THREE.ShapeGeometry(shape), color);
-    sector.rotation.x = -Math.PI / 2;
-    sector.position.y = 0.01;
-    group.add(sector);
-
-    // Circle
-    // Top of arc is at Y=slant (in Shape) -> Z=-slant (in 3D, if centered).
-    // Circle touches there.
-    const circ = createFlatFace(new THREE.CircleGeometry(r, 64), color);
-    circ.rotation.x = -Math.PI / 2;
-    circ.position.set(0, 0.01, -slant - r);
-    group.add(circ);
-
-    return group;
+function createLabel(text, color) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+    const font = '600 40px Poppins, sans-serif';
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 24;
+    canvas.height = 56;
+    context.font = font; // resizing the canvas resets it
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
+    context.textBaseline = 'middle';
+    context.fillText(text, 12, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false
+    }));
+    sprite.scale.set((LABEL_HEIGHT * canvas.width) / canvas.height, LABEL_HEIGHT, 1);
+    sprite.renderOrder = 2;
+    return sprite;
 }
 
 /**
- * Prism Net
+ * Double-headed arrows with "label = length" at their middle, for the lines
+ * from the registry's `dimensions` / `netDimensions`.
  */
-function createNetPrism(params) {
-    const { a, t_alas, t_prisma } = params;
+function createDimensionLines(lines) {
     const group = new THREE.Group();
-    const color = 0x4ae290;
-    const halfBase = a / 2;
-    const sideLen = Math.sqrt(halfBase * halfBase + t_alas * t_alas);
-
-    // Main Panel: a x t_prisma
-    const main = createFlatFace(new THREE.PlaneGeometry(a, t_prisma), color);
-    main.rotation.x = -Math.PI / 2;
-    main.position.y = 0.01;
-    group.add(main);
-
-    // Side Wings (sideLen x t_prisma)
-    const sideGeom = new THREE.PlaneGeometry(sideLen, t_prisma);
-
-    // Left Wing
-    const left = createFlatFace(sideGeom, color);
-    left.rotation.x = -Math.PI / 2;
-    left.position.set(-a / 2 - sideLen / 2, 0.01, 0);
-    group.add(left);
-
-    // Right Wing
-    const right = createFlatFace(sideGeom.clone(), color);
-    right.rotation.x = -Math.PI / 2;
-    right.position.set(a / 2 + sideLen / 2, 0.01, 0);
-    group.add(right);
-
-    // Triangles
-    const triShape = new THREE.Shape();
-    triShape.moveTo(-halfBase, 0);
-    triShape.lineTo(halfBase, 0);
-    triShape.lineTo(0, t_alas);
-    const triGeom = new THREE.ShapeGeometry(triShape);
-
-    function attachTri(pz, rotY) {
-        const pivot = createPivot(0, 0.01, pz);
-        const mesh = createFlatFace(triGeom.clone(), color);
-        mesh.rotation.x = -Math.PI / 2; // Flat
-        pivot.rotation.y = rotY;
-        pivot.add(mesh);
-        group.add(pivot);
-    }
-
-    // Back Triangle (Attached to Z- edge): Pointing -Z
-    attachTri(-t_prisma / 2, 0);
-
-    // Front Triangle (Attached to Z+ edge): Pointing +Z
-    attachTri(t_prisma / 2, Math.PI);
-
+    lines.forEach(({ label, from, to, derived }) => {
+        if (!(derived ? dimensionOptions.derived : dimensionOptions.params)) return;
+        const a = new THREE.Vector3(...from);
+        const b = new THREE.Vector3(...to);
+        const length = a.distanceTo(b);
+        if (length < 1e-6) return;
+        const color = derived ? DERIVED_DIMENSION_COLOR : DIMENSION_COLOR;
+        const middle = a.clone().add(b).multiplyScalar(0.5);
+        const head = Math.min(0.4, length / 4);
+        [a, b].forEach((end) => {
+            const arrow = new THREE.ArrowHelper(end.clone().sub(middle).normalize(), middle, length / 2, color, head, head / 2);
+            arrow.line.material.depthTest = false;
+            arrow.cone.material.depthTest = false;
+            arrow.renderOrder = 1;
+            group.add(arrow);
+        });
+        const sprite = createLabel(`${label} = ${dimensionOptions.format(length)}`, color);
+        if (sprite) {
+            sprite.position.copy(middle);
+            group.add(sprite);
+        }
+    });
     return group;
 }
 
@@ -384,10 +440,13 @@ function initScene() {
     renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     renderer.setSize(container.clientWidth, container.clientHeight);
     renderer.shadowMap.enabled = true;
+    // Materials may carry their own clipping planes (the water level in the pour demo)
+    renderer.localClippingEnabled = true;
     renderer.setPixelRatio(window.devicePixelRatio);
     container.innerHTML = '';
     container.appendChild(renderer.domElement);
     controls = new THREE.OrbitControls(camera, renderer.domElement);
+    controls.addEventListener('change', requestRender);
     scene.add(new THREE.AmbientLight(0xffffff, 0.7));
     const dir = new THREE.DirectionalLight(0xffffff, 0.8);
     dir.position.set(10, 20, 10);
@@ -395,7 +454,6 @@ function initScene() {
     scene.add(new THREE.GridHelper(50, 50, 0x888888, 0xe0e0e0));
 
     loadShape('cube', null, 'solid');
-    animate();
     window.addEventListener('resize', onWindowResize);
     return true;
 }
@@ -405,42 +463,244 @@ function onWindowResize() {
         camera.aspect = container.clientWidth / container.clientHeight;
         camera.updateProjectionMatrix();
         renderer.setSize(container.clientWidth, container.clientHeight);
+        requestRender();
     }
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    if (controls) controls.update();
-    renderer.render(scene, camera);
+/**
+ * Draws the scene once on the next animation frame. Called for every change
+ * to it (camera moves, shapes, folds, animations); repeated calls before that
+ * frame draw once.
+ */
+function requestRender() {
+    if (renderQueued || !renderer) return;
+    renderQueued = true;
+    requestAnimationFrame(() => {
+        renderQueued = false;
+        renderer.render(scene, camera);
+    });
+}
+
+// Takes the current shape (or shown object) out of the scene and frees it
+function clearCurrent() {
+    if (!currentMesh) return;
+    scene.remove(currentMesh);
+    disposeObject(currentMesh);
+    currentMesh = null;
+}
+
+// Swaps the dimension lines of a shape on screen for `lines` (or none)
+function setDimensionLines(mesh, lines) {
+    const old = mesh.userData.dimensionLines;
+    if (old) {
+        mesh.remove(old);
+        disposeObject(old);
+    }
+    mesh.userData.dimensionLines = lines;
+    if (lines) mesh.add(lines);
 }
 
-function loadShape(type, params, mode) {
-    if (currentMesh) {
-        scene.remove(currentMesh);
-        currentMesh = null;
+/**
+ * Shows a shape. The same shape in the same mode (and net) only gets new
+ * values: its geometry is refilled in place. Anything else replaces it.
+ */
+function loadShape(type, params, mode, fold, netKey) {
+    const shape = window.ShapeRegistry.get(type);
+    if (!shape) {
+        clearCurrent();
+        requestRender();
+        return;
     }
-    const p = params || defaultParams[type];
+    const p = params || window.ShapeRegistry.defaultParams(type);
     currentMode = mode || currentMode || 'solid';
+    if (fold !== undefined) currentFold = fold;
+    const key = `${type}/${currentMode}/${netKey || ''}`;
+    const same = currentMesh && currentMesh.userData.shapeKey === key;
+
+    if (currentMode === 'solid') {
+        if (same) {
+            setMeshGeometry(currentMesh, shape.solid(p));
+        } else {
+            clearCurrent();
+            currentMesh = createMesh(shape.solid(p), shape.color, shape.smooth);
+        }
+        setDimensionLines(currentMesh, shape.dimensions ? createDimensionLines(shape.dimensions(p)) : null);
+    } else {
+        const layout = window.ShapeRegistry.netLayout(type, p, netKey);
+        if (!same || !currentMesh.userData.setLayout(layout)) {
+            clearCurrent();
+            currentMesh = createHingedNet(layout, shape.color);
+        }
+        currentMesh.userData.setFold(currentFold);
+        // Only meaningful while the net lies flat
+        let lines = null;
+        if (shape.netDimensions) {
+            lines = createDimensionLines(shape.netDimensions(p));
+            lines.position.y = 0.01;
+            lines.visible = currentFold === 0;
+        }
+        setDimensionLines(currentMesh, lines);
+    }
+    currentMesh.userData.shapeKey = key;
+    scene.add(currentMesh);
+    arrangeComparison();
+    requestRender();
+}
 
-    const factory = currentMode === 'solid' ?
-        { cube: createSolidCube, box: createSolidBox, cylinder: createSolidCylinder, pyramid: createSolidPyramid, cone: createSolidCone, prism: createSolidPrism } :
-        { cube: createNetCube, box: createNetBox, cylinder: createNetCylinder, pyramid: createNetPyramid, cone: createNetCone, prism: createNetPrism };
+const COMPARE_GAP = 3; // scene units between the two solids
+
+// Keeps the compared solid just right of the current shape, whatever their sizes
+function arrangeComparison() {
+    if (!compareMesh || !currentMesh) return;
+    compareMesh.position.x = 0;
+    const right = new THREE.Box3().setFromObject(currentMesh).max.x;
+    const left = new THREE.Box3().setFromObject(compareMesh).min.x;
+    compareMesh.position.x = right + COMPARE_GAP - left;
+}
 
-    if (factory[type]) {
-        currentMesh = factory[type](p);
-        scene.add(currentMesh);
+/**
+ * Shows a second solid next to the current one, or removes it when `type`
+ * is null. Like loadShape, the same type only gets its geometry refilled.
+ */
+function setCompareShape(type, params) {
+    if (compareMesh && compareMesh.userData.shapeKey !== type) {
+        scene.remove(compareMesh);
+        disposeObject(compareMesh);
+        compareMesh = null;
     }
+    if (type) {
+        const shape = window.ShapeRegistry.get(type);
+        if (compareMesh) {
+            setMeshGeometry(compareMesh, shape.solid(params));
+        } else {
+            compareMesh = createMesh(shape.solid(params), shape.color, shape.smooth);
+            compareMesh.userData.shapeKey = type;
+            scene.add(compareMesh);
+        }
+        setDimensionLines(compareMesh, shape.dimensions ? createDimensionLines(shape.dimensions(params)) : null);
+        arrangeComparison();
+    }
+    requestRender();
+}
+
+/**
+ * Chooses which dimension lines are drawn: `params` for the shape's own
+ * lengths, `derived` for computed ones (slant heights, circumference), and
+ * `format` to write a length in cm with its unit. Applies on the next load.
+ */
+function setDimensionOptions(options) {
+    dimensionOptions = Object.assign({}, dimensionOptions, options);
 }
 
-// Deprecated updateFold but included stub
-function updateFold(val) { }
+/**
+ * Folds the current net: 0 = flat net, 1 = closed solid.
+ */
+function updateFold(val) {
+    currentFold = val;
+    if (!currentMesh || !currentMesh.userData.setFold) return;
+    currentMesh.userData.setFold(val);
+    if (currentMesh.userData.dimensionLines) {
+        currentMesh.userData.dimensionLines.visible = val === 0;
+    }
+    requestRender();
+}
+
+/**
+ * Shows an arbitrary object (e.g. the net challenge grid) in place of the
+ * shape. The scene owns it from then on and disposes it when it is replaced.
+ */
+function showObject(object) {
+    if (currentMesh !== object) clearCurrent();
+    currentMesh = object;
+    scene.add(object);
+    requestRender();
+}
+
+/**
+ * The first of `objects` under the given screen point, or null.
+ */
+function pickObject(clientX, clientY, objects) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(objects, false)[0];
+    return hit ? hit.object : null;
+}
+
+/**
+ * Adds or removes a helper object (e.g. the cutting plane) that stays in the
+ * scene while shapes are reloaded. A removed overlay is disposed.
+ */
+function addOverlay(object) {
+    scene.add(object);
+    requestRender();
+}
+
+function removeOverlay(object) {
+    scene.remove(object);
+    disposeObject(object);
+    requestRender();
+}
+
+/**
+ * Turns camera orbiting off, e.g. while something in the scene is dragged.
+ */
+function setControlsEnabled(enabled) {
+    if (controls) controls.enabled = enabled;
+}
+
+/**
+ * Camera position and orbit target as [x, y, z] arrays.
+ */
+function getCameraState() {
+    return {
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+    };
+}
+
+function setCameraState(state) {
+    camera.position.fromArray(state.position);
+    controls.target.fromArray(state.target);
+    controls.update();
+    requestRender();
+}
+
+/**
+ * Calls `callback` whenever the user moves the camera.
+ */
+function onCameraChange(callback) {
+    if (controls) controls.addEventListener('change', callback);
+}
 
 // API
 window.SceneManager = {
     initScene,
     loadShape,
     updateFold,
-    resetCamera: () => { if (controls) controls.reset(); },
+    showObject,
+    pickObject,
+    createNet: createHingedNet,
+    createMesh,
+    disposeObject,
+    requestRender,
+    getCanvas: () => renderer && renderer.domElement,
+    setDimensionOptions,
+    setCompareShape,
+    addOverlay,
+    removeOverlay,
+    setControlsEnabled,
+    getCameraState,
+    setCameraState,
+    onCameraChange,
+    resetCamera: () => {
+        if (controls) controls.reset();
+        requestRender();
+    },
     showSolid: (t, p) => loadShape(t, p, 'solid'),
     showNet: (t, p) => loadShape(t, p, 'net')
 };
@@ -1,170 +1,267 @@
 /**
  * src/ui.js
- * Restored UI: Two buttons for Solid vs Net. No slider.
+ * UI: shape selection, dimensions, formulas and the fold slider/animation.
  */
 
 const UIManager = (function () {
+    const { t } = window.I18n;
     let animateOpenBtn, animateCloseBtn, resetCameraBtn, descriptionPanel;
-    let dimensionsContainer, formulaDisplay;
-    let foldSlider; // Will be hidden
+    let dimensionsContainer, formulaDisplay, stepsToggleBtn;
+    let showSteps = false;
+    let foldSlider, netLayoutGroup, netLayoutSelect, unitSelect;
+    let solveBtn, solvePanel, solveUnknown, solveQuantity, solveTarget, solveMessage;
+    let solver = null; // { unknown, quantity, target } while "Cari Ukuran" is on
+    let dimensionsParamsBox, dimensionsDerivedBox;
+    let languageSelect;
     let currentShape = 'cube';
+    let currentUnit = 'cm';
     let currentMode = 'solid'; // 'solid' or 'net'
+    let currentFold = 1; // 0 = flat net, 1 = closed solid
+    let foldAnimation = null;
 
-    const shapeConfig = {
-        cube: {
-            name: 'Kubus',
-            desc: 'Kubus adalah bangun ruang sisi datar yang semua sisinya berbentuk persegi dan semua rusuknya sama panjang.',
-            params: { s: { label: 'Sisi (s)', min: 2, max: 10, step: 0.1, val: 5 } },
-            calc: (p) => ({
-                vol: Math.pow(p.s, 3),
-                sa: 6 * Math.pow(p.s, 2),
-                volFormula: '$$V = s^3$$',
-                saFormula: '$$L = 6 \\times s^2$$'
-            })
-        },
-        box: {
-            name: 'Balok',
-            desc: 'Balok adalah bangun ruang sisi datar yang memiliki tiga pasang sisi yang saling berhadapan.',
-            params: {
-                p: { label: 'Panjang (p)', min: 3, max: 10, step: 0.1, val: 6 },
-                l: { label: 'Lebar (l)', min: 2, max: 8, step: 0.1, val: 4 },
-                t: { label: 'Tinggi (t)', min: 2, max: 8, step: 0.1, val: 3 }
-            },
-            calc: (p) => ({
-                vol: p.p * p.l * p.t,
-                sa: 2 * (p.p * p.l + p.p * p.t + p.l * p.t),
-                volFormula: '$$V = p \\times l \\times t$$',
-                saFormula: '$$L = 2(pl + pt + lt)$$'
-            })
-        },
-        cylinder: {
-            name: 'Tabung',
-            desc: 'Tabung adalah bangun ruang tiga dimensi yang dibentuk oleh dua buah lingkaran identik yang sejajar.',
-            params: {
-                r: { label: 'Jari-jari (r)', min: 1, max: 6, step: 0.1, val: 3 },
-                t: { label: 'Tinggi (t)', min: 3, max: 12, step: 0.1, val: 7 }
-            },
-            calc: (p) => ({
-                vol: Math.PI * Math.pow(p.r, 2) * p.t,
-                sa: 2 * Math.PI * p.r * (p.r + p.t),
-                volFormula: '$$V = \\pi r^2 t$$',
-                saFormula: '$$L = 2\\pi r (r + t)$$'
-            })
-        },
-        pyramid: {
-            name: 'Limas Segi Empat',
-            desc: 'Limas segi empat adalah bangun ruang yang mempunyai alas segi empat dan sisi-sisi tegak berbentuk segitiga.',
-            params: {
-                s: { label: 'Sisi Alas (s)', min: 3, max: 10, step: 0.1, val: 8 },
-                t: { label: 'Tinggi (t)', min: 3, max: 12, step: 0.1, val: 10 }
-            },
-            calc: (p) => {
-                const slant = Math.sqrt(Math.pow(p.t, 2) + Math.pow(p.s / 2, 2));
-                return {
-                    vol: (1 / 3) * Math.pow(p.s, 2) * p.t,
-                    sa: Math.pow(p.s, 2) + 2 * p.s * slant,
-                    volFormula: '$$V = \\frac{1}{3} s^2 t$$',
-                    saFormula: '$$L = s^2 + 2st_{miring}$$'
-                };
-            }
-        },
-        cone: {
-            name: 'Kerucut',
-            desc: 'Kerucut adalah sebuah limas istimewa yang beralas lingkaran.',
-            params: {
-                r: { label: 'Jari-jari (r)', min: 2, max: 7, step: 0.1, val: 5 },
-                t: { label: 'Tinggi (t)', min: 3, max: 12, step: 0.1, val: 10 }
-            },
-            calc: (p) => {
-                const s = Math.sqrt(p.r * p.r + p.t * p.t);
-                return {
-                    vol: (1 / 3) * Math.PI * p.r * p.r * p.t,
-                    sa: Math.PI * p.r * (p.r + s),
-                    volFormula: '$$V = \\frac{1}{3} \\pi r^2 t$$',
-                    saFormula: '$$L = \\pi r (r + s)$$'
-                };
-            }
-        },
-        prism: {
-            name: 'Prisma Segitiga',
-            desc: 'Prisma segitiga adalah bangun ruang yang alas dan tutupnya berbentuk segitiga.',
-            params: {
-                a: { label: 'Alas Segitiga (a)', min: 3, max: 8, step: 0.1, val: 6 },
-                t_alas: { label: 'Tinggi Segitiga (ta)', min: 2, max: 8, step: 0.1, val: 5 },
-                t_prisma: { label: 'Tinggi Prisma (tp)', min: 3, max: 12, step: 0.1, val: 10 }
-            },
-            calc: (p) => {
-                const hyp = Math.sqrt(Math.pow(p.a / 2, 2) + Math.pow(p.t_alas, 2));
-                const baseArea = 0.5 * p.a * p.t_alas;
-                const perimeter = p.a + 2 * hyp;
-                return {
-                    vol: baseArea * p.t_prisma,
-                    sa: 2 * baseArea + perimeter * p.t_prisma,
-                    volFormula: '$$V = L_{alas} \\times t_{prisma}$$',
-                    saFormula: '$$L = 2L_{alas} + K_{alas} \\times t_{prisma}$$'
-                };
-            }
-        }
+    const FOLD_DURATION = 2500; // ms for a full open or close
+    const LANGUAGE_KEY = 'mathspace-language'; // localStorage key of the chosen language
+
+    // Callbacks run whenever the shown shape, its values or the fold change
+    const changeListeners = [];
+
+    // Length units: how many of each make one centimetre (the registry's unit)
+    const UNITS = {
+        mm: 10,
+        cm: 1,
+        m: 0.01
     };
 
+    // Current parameter values per shape, seeded from the registry defaults.
+    // Lengths are kept in cm and only converted for display.
+    const paramValues = {};
+    // Chosen net layout per shape, for shapes with more than one net
+    const netLayoutKeys = {};
+
+    // Two decimals, or three significant digits for small values (e.g. m³)
+    function roundNumber(num) {
+        const value = parseFloat(num);
+        return Math.abs(value) >= 1 || value === 0
+            ? Math.round(value * 100) / 100
+            : Number(value.toPrecision(3));
+    }
+
+    // Same rounding, with the language's decimal separator
     function formatNumber(num) {
-        return parseFloat(num).toFixed(2);
+        return window.I18n.formatNumber(num);
     }
 
-    function getParamsValues(shape) {
-        const config = shapeConfig[shape];
-        const values = {};
-        Object.keys(config.params).forEach(key => {
-            values[key] = config.params[key].val;
+    function unitLabel(param) {
+        return param.unitless ? param.label : t('unit.in', { label: param.label, unit: currentUnit });
+    }
+
+    // cm -> current unit, without float noise such as 0.30000000000000004
+    function toUnit(value, param) {
+        return param.unitless ? value : Number((value * UNITS[currentUnit]).toPrecision(12));
+    }
+
+    function fromUnit(value, param) {
+        return param.unitless ? value : value / UNITS[currentUnit];
+    }
+
+    // Parameter values converted to the current unit
+    function displayParams(shape) {
+        const config = window.ShapeRegistry.get(shape);
+        const values = getParamsValues(shape);
+        const params = {};
+        Object.entries(config.params).forEach(([key, param]) => {
+            params[key] = toUnit(values[key], param);
         });
-        return values;
+        return params;
+    }
+
+    function getParamsValues(shape) {
+        if (!paramValues[shape]) {
+            paramValues[shape] = window.ShapeRegistry.defaultParams(shape);
+        }
+        return paramValues[shape];
     }
 
     function renderDimensions(shape) {
         if (!dimensionsContainer) return;
         dimensionsContainer.innerHTML = '';
 
-        const config = shapeConfig[shape];
+        const config = window.ShapeRegistry.get(shape);
         if (!config) return;
+        const values = getParamsValues(shape);
+
+        // Shapes with variants (e.g. prism base types) get a type selector first
+        const variants = window.ShapeRegistry.variants(shape);
+        if (variants.length) {
+            const div = document.createElement('div');
+            div.className = 'parameter';
+            div.innerHTML = `
+                <label for="param-variant">${config.variant.title}</label>
+                <select id="param-variant">
+                    ${variants.map(v => `<option value="${v.type}"${v.type === shape ? ' selected' : ''}>${v.label}</option>`).join('')}
+                </select>
+            `;
+            dimensionsContainer.appendChild(div);
+            div.querySelector('select').addEventListener('change', (e) => selectShape(e.target.value));
+        }
 
         Object.entries(config.params).forEach(([key, param]) => {
             const div = document.createElement('div');
             // Keeping the improved styling
             div.className = 'parameter';
+            // The solver's unknown is worked out, not typed in
+            const solved = solver && solver.unknown === key ? ` disabled title="${t('solve.solved')}"` : '';
             div.innerHTML = `
-                <label for="param-${key}">${param.label}</label>
+                <label for="param-${key}">${unitLabel(param)}</label>
                 <input type="number" id="param-${key}" 
-                       min="${param.min}" max="${param.max}" step="${param.step}" value="${param.val}">
+                       min="${toUnit(param.min, param)}" max="${toUnit(param.max, param)}"
+                       step="${toUnit(param.step, param)}" value="${roundNumber(toUnit(values[key], param))}"${solved}>
             `;
             dimensionsContainer.appendChild(div);
 
             const input = div.querySelector('input');
             input.addEventListener('input', (e) => {
                 const val = parseFloat(e.target.value);
-                config.params[key].val = val;
+                values[key] = fromUnit(val, param);
+                if (solver) {
+                    runSolver();
+                    return;
+                }
                 updateCalculations(shape);
                 reloadCurrentShape();
             });
         });
     }
 
+    // What the solver can start from, with the factor from cm-based values to
+    // the unit the target is typed in
+    function solverQuantities(shape) {
+        const f = UNITS[currentUnit];
+        const quantities = {
+            volume: { label: t('solve.volume', { unit: currentUnit }), quantity: 'volume', scale: f * f * f },
+            surfaceArea: { label: t('solve.surfaceArea', { unit: currentUnit }), quantity: 'surfaceArea', scale: f * f }
+        };
+        if (window.ShapeRegistry.get(shape).capacity) {
+            quantities.capacity = { label: t('solve.capacity'), quantity: 'volume', scale: 0.001 };
+        }
+        return quantities;
+    }
+
+    /**
+     * Fills the "Cari Ukuran" panel for `shape`. The target starts at the
+     * shape's current value, so turning the solver on changes nothing yet.
+     */
+    function renderSolver(shape) {
+        if (!solvePanel) return;
+        solvePanel.hidden = !solver;
+        window.I18n.setText(solveBtn, solver ? 'solve.close' : 'solve.open');
+        solveBtn.classList.toggle('active', !!solver);
+        if (!solver) return;
+
+        const config = window.ShapeRegistry.get(shape);
+        const unknowns = Object.keys(config.params).filter(key => !config.params[key].integer);
+        if (!unknowns.includes(solver.unknown)) solver.unknown = unknowns[0];
+        const quantities = solverQuantities(shape);
+        if (!quantities[solver.quantity]) solver.quantity = 'volume';
+
+        solveUnknown.innerHTML = unknowns
+            .map(key => `<option value="${key}"${key === solver.unknown ? ' selected' : ''}>${config.params[key].label}</option>`)
+            .join('');
+        solveQuantity.innerHTML = Object.entries(quantities)
+            .map(([key, q]) => `<option value="${key}"${key === solver.quantity ? ' selected' : ''}>${q.label}</option>`)
+            .join('');
+
+        const q = quantities[solver.quantity];
+        const current = window.ShapeRegistry.calculate(shape, getParamsValues(shape))[q.quantity];
+        solver.target = roundNumber(current * q.scale);
+        solveTarget.value = solver.target;
+        solveMessage.textContent = '';
+        solveMessage.className = 'solve-message';
+    }
+
+    /**
+     * Solves for the unknown from the target and the other inputs, then shows
+     * the result in its input, the formulas and the 3D view.
+     */
+    function runSolver() {
+        const shape = currentShape;
+        const param = window.ShapeRegistry.get(shape).params[solver.unknown];
+        const q = solverQuantities(shape)[solver.quantity];
+        const values = getParamsValues(shape);
+
+        if (!(solver.target > 0)) {
+            solveMessage.textContent = t('solve.enterTarget');
+            solveMessage.className = 'solve-message wrong';
+            return;
+        }
+        const value = window.ShapeRegistry.solve(shape, q.quantity, solver.target / q.scale, values, solver.unknown);
+        if (value === null) {
+            solveMessage.textContent = t('solve.none', {
+                label: param.label,
+                min: window.I18n.number(toUnit(param.min, param)),
+                max: window.I18n.number(toUnit(param.max, param)),
+                unit: currentUnit,
+                quantity: q.label,
+                target: window.I18n.number(solver.target)
+            });
+            solveMessage.className = 'solve-message wrong';
+            return;
+        }
+
+        values[solver.unknown] = value;
+        const input = document.getElementById(`param-${solver.unknown}`);
+        if (input) input.value = roundNumber(toUnit(value, param));
+        solveMessage.textContent = `${param.label} ≈ ${formatNumber(toUnit(value, param))} ${currentUnit}`;
+        solveMessage.className = 'solve-message correct';
+        updateCalculations(shape);
+        reloadCurrentShape();
+    }
+
     function updateCalculations(shape) {
         if (!formulaDisplay) return;
 
-        const config = shapeConfig[shape];
-        const params = getParamsValues(shape);
-        const result = config.calc(params);
+        // Everything on the panel is worked out in the chosen unit
+        const params = displayParams(shape);
+        const error = window.ShapeRegistry.validate(shape, params,
+            { scale: UNITS[currentUnit], label: currentUnit });
+        if (error) {
+            formulaDisplay.innerHTML = `<p class="formula-error">${error}</p>`;
+            return;
+        }
+        const result = window.ShapeRegistry.calculate(shape, params);
+
+        // Worked solution generated from the registry formulas
+        const renderSteps = (quantity) => {
+            if (!showSteps) return '';
+            // A decimal comma is written {,} so MathJax does not space it as a list
+            const steps = window.ShapeRegistry.solutionSteps(shape, params, quantity,
+                v => window.I18n.number(roundNumber(v)).replace(',', '{,}'));
+            return `<div class="formula-steps">${steps.map(step => `<p>$$${step}$$</p>`).join('')}</div>`;
+        };
+
+        // Containers also show their volume as capacity: 1 cm³ holds 1 mL
+        let capacity = '';
+        if (window.ShapeRegistry.get(shape).capacity) {
+            const millilitres = window.ShapeRegistry.calculate(shape, getParamsValues(shape)).volume;
+            capacity = `
+            <div class="formula-item">
+                <strong>${t('quantity.capacity')}</strong>
+                <p>= ${formatNumber(millilitres)} mL = ${formatNumber(millilitres / 1000)} L</p>
+            </div>`;
+        }
 
         formulaDisplay.innerHTML = `
             <div class="formula-item">
-                <strong>Volume</strong>
-                <p class="formula-math">${result.volFormula}</p>
-                <p>= ${formatNumber(result.vol)}</p>
-            </div>
+                <strong>${t('quantity.volume')}</strong>
+                <p class="formula-math">$$${result.formulas.volume}$$</p>
+                <p>= ${formatNumber(result.volume)} ${currentUnit}³</p>
+                ${renderSteps('volume')}
+            </div>${capacity}
             <div class="formula-item">
-                <strong>Luas Permukaan</strong>
-                <p class="formula-math">${result.saFormula}</p>
-                <p>= ${formatNumber(result.sa)}</p>
+                <strong>${t('quantity.surfaceArea')}</strong>
+                <p class="formula-math">$$${result.formulas.surfaceArea}$$</p>
+                <p>= ${formatNumber(result.surfaceArea)} ${currentUnit}²</p>
+                ${renderSteps('surfaceArea')}
             </div>
         `;
 
@@ -175,51 +272,285 @@ const UIManager = (function () {
 
     function updateDescription() {
         if (descriptionPanel) {
-            descriptionPanel.innerHTML = `<p>${shapeConfig[currentShape].desc}</p>`;
+            descriptionPanel.innerHTML = `<p>${window.ShapeRegistry.get(currentShape).desc}</p>`;
         }
     }
 
+    // Leaving the net challenge hands the canvas back to the selected shape.
+    // Returns true when a challenge was running.
+    function leaveChallenge() {
+        if (!window.NetChallenge || !window.NetChallenge.isActive()) return false;
+        window.NetChallenge.stop();
+        return true;
+    }
+
+    // How many of the current unit make one cm
+    function unitScale() {
+        return UNITS[currentUnit];
+    }
+
+    /**
+     * A length (power 1), area (2) or volume (3) given in cm, written in the
+     * current unit, e.g. formatMeasure(25, 2) -> "25.00 cm²".
+     */
+    function formatMeasure(value, power = 1) {
+        const converted = value * Math.pow(UNITS[currentUnit], power);
+        return `${formatNumber(converted)} ${currentUnit}${['', '', '²', '³'][power]}`;
+    }
+
+    // Dimension lines in the scene follow the checkboxes and the unit
+    function updateDimensionOptions() {
+        if (!window.SceneManager) return;
+        window.SceneManager.setDimensionOptions({
+            params: !!dimensionsParamsBox && dimensionsParamsBox.checked,
+            derived: !!dimensionsDerivedBox && dimensionsDerivedBox.checked,
+            format: (value) => formatMeasure(value)
+        });
+    }
+
+    function notifyChange() {
+        changeListeners.forEach(callback => callback());
+    }
+
+    /**
+     * Switches the length unit. Values keep their size and are shown converted.
+     */
+    function setUnit(unit) {
+        if (!UNITS[unit]) return;
+        currentUnit = unit;
+        if (unitSelect) unitSelect.value = unit;
+        renderSolver(currentShape);
+        renderDimensions(currentShape);
+        updateCalculations(currentShape);
+        updateDimensionOptions();
+        reloadCurrentShape();
+        notifyChange();
+    }
+
     function reloadCurrentShape() {
+        leaveChallenge();
+        // Keep showing the last valid shape while an input is out of range
+        if (window.ShapeRegistry.validate(currentShape, getParamsValues(currentShape))) return;
         if (window.SceneManager) {
-            window.SceneManager.loadShape(currentShape, getParamsValues(currentShape), currentMode);
+            window.SceneManager.loadShape(currentShape, getParamsValues(currentShape), currentMode, currentFold,
+                netLayoutKeys[currentShape]);
         }
+        notifyChange();
     }
 
-    function setMode(mode) {
-        currentMode = mode;
-        if (animateOpenBtn && animateCloseBtn) {
-            if (mode === 'net') {
-                animateOpenBtn.classList.add('active'); // Style as active
-                animateCloseBtn.classList.remove('active');
-            } else {
-                animateCloseBtn.classList.add('active');
-                animateOpenBtn.classList.remove('active');
-            }
-        }
+    function renderNetLayouts(shape) {
+        if (!netLayoutSelect) return;
+        const layouts = window.ShapeRegistry.netLayouts(shape);
+        netLayoutGroup.hidden = layouts.length < 2;
+        netLayoutSelect.innerHTML = layouts
+            .map(l => `<option value="${l.key}"${l.key === netLayoutKeys[shape] ? ' selected' : ''}>${l.label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Switches the net layout and lays the new net out flat so the change is visible.
+     */
+    function selectNetLayout(key) {
+        stopFoldAnimation();
+        netLayoutKeys[currentShape] = key;
+        currentMode = 'net';
+        currentFold = 0;
+        if (foldSlider) foldSlider.value = currentFold;
         reloadCurrentShape();
     }
 
+    /**
+     * Sets the fold amount. A fully closed net is shown as the solid mesh.
+     */
+    function setFold(value) {
+        currentFold = Math.min(1, Math.max(0, value));
+        if (foldSlider) foldSlider.value = currentFold;
+
+        const mode = currentFold >= 1 ? 'solid' : 'net';
+        if (mode !== currentMode || leaveChallenge()) {
+            currentMode = mode;
+            reloadCurrentShape();
+        } else if (window.SceneManager) {
+            window.SceneManager.updateFold(currentFold);
+            notifyChange();
+        }
+    }
+
+    function stopFoldAnimation() {
+        if (foldAnimation) {
+            cancelAnimationFrame(foldAnimation);
+            foldAnimation = null;
+        }
+    }
+
+    /**
+     * Plays the fold from its current amount to `target` (ease in-out).
+     */
+    function animateFold(target) {
+        stopFoldAnimation();
+        const from = currentFold;
+        const duration = Math.abs(target - from) * FOLD_DURATION;
+        if (duration === 0) return;
+
+        const start = performance.now();
+        const step = (now) => {
+            const k = Math.min(1, (now - start) / duration);
+            const eased = k < 0.5 ? 2 * k * k : 1 - Math.pow(-2 * k + 2, 2) / 2;
+            setFold(from + (target - from) * eased);
+            foldAnimation = k < 1 ? requestAnimationFrame(step) : null;
+        };
+        foldAnimation = requestAnimationFrame(step);
+    }
+
+    /**
+     * A button for a shape registered by a plugin (built-in shapes have theirs
+     * in index.html). Variants join their group's button instead.
+     */
+    function addShapeButton(type) {
+        const options = document.querySelector('#shape-selector .shape-options');
+        if (!options || document.getElementById(`select-${type}`)) return;
+        const group = window.ShapeRegistry.variants(type).map(v => v.type);
+        if (Array.from(options.querySelectorAll('button')).some(btn => group.includes(btn.dataset.shape))) return;
+        const button = document.createElement('button');
+        button.id = `select-${type}`;
+        button.dataset.shape = type;
+        button.textContent = window.ShapeRegistry.get(type).name;
+        button.addEventListener('click', () => selectShape(button.dataset.shape));
+        options.appendChild(button);
+    }
+
     function selectShape(shape) {
-        if (currentShape === shape) return;
+        if (currentShape === shape && !leaveChallenge()) return;
+        showShape(shape);
+    }
 
+    function showShape(shape) {
         const oldActive = document.querySelector(`.shape-options button.active`);
         if (oldActive) oldActive.classList.remove('active');
 
-        const newBtn = document.getElementById(`select-${shape}`);
-        if (newBtn) newBtn.classList.add('active');
+        // A variant shares its group's button, which then remembers the variant
+        const group = window.ShapeRegistry.variants(shape).map(v => v.type);
+        const newBtn = document.getElementById(`select-${shape}`) ||
+            Array.from(document.querySelectorAll('.shape-options button'))
+                .find(btn => group.includes(btn.dataset.shape));
+        if (newBtn) {
+            newBtn.classList.add('active');
+            newBtn.dataset.shape = shape;
+        }
 
         currentShape = shape;
         // Reset to solid when changing shape
+        stopFoldAnimation();
         currentMode = 'solid';
-        if (animateCloseBtn) animateCloseBtn.classList.add('active');
-        if (animateOpenBtn) animateOpenBtn.classList.remove('active');
+        currentFold = 1;
+        if (foldSlider) foldSlider.value = currentFold;
 
         updateDescription();
+        renderSolver(shape);
         renderDimensions(shape);
+        renderNetLayouts(shape);
         updateCalculations(shape);
         reloadCurrentShape();
     }
 
+    // True-scale drawing of the current net, or null while an input is invalid
+    function currentNetDrawing() {
+        const params = getParamsValues(currentShape);
+        if (window.ShapeRegistry.validate(currentShape, params)) return null;
+        const layout = window.ShapeRegistry.netLayout(currentShape, params, netLayoutKeys[currentShape]);
+        const tabs = document.getElementById('export-tabs');
+        return window.ExportManager.netSvg(layout, { tabs: !tabs || tabs.checked });
+    }
+
+    function setStepsVisible(visible) {
+        showSteps = visible;
+        if (stepsToggleBtn) {
+            window.I18n.setText(stepsToggleBtn, showSteps ? 'steps.hide' : 'steps.show');
+            stepsToggleBtn.classList.toggle('active', showSteps);
+        }
+        updateCalculations(currentShape);
+    }
+
+    /**
+     * Shows a shape with the given values and its worked solution, e.g. after
+     * a quiz answer. `netKey` lays out that net flat instead of the solid.
+     */
+    function showSolution(shape, params, netKey) {
+        paramValues[shape] = Object.assign({}, params);
+        showShape(shape);
+        setStepsVisible(true);
+        if (netKey) {
+            selectNetLayout(netKey);
+            renderNetLayouts(shape);
+        }
+    }
+
+    /**
+     * What is on screen: shape, values (lengths in cm), unit, fold and net layout.
+     */
+    function getState() {
+        return {
+            shape: currentShape,
+            params: Object.assign({}, getParamsValues(currentShape)),
+            unit: currentUnit,
+            mode: currentMode,
+            fold: currentFold,
+            netKey: netLayoutKeys[currentShape]
+        };
+    }
+
+    /**
+     * Shows a state from getState(). Values must already be valid.
+     */
+    function applyState(state) {
+        paramValues[state.shape] = Object.assign({}, state.params);
+        if (state.netKey) netLayoutKeys[state.shape] = state.netKey;
+        if (state.unit && UNITS[state.unit]) currentUnit = state.unit;
+        if (unitSelect) unitSelect.value = currentUnit;
+        leaveChallenge();
+        showShape(state.shape);
+        renderNetLayouts(state.shape);
+        setFold(state.mode === 'net' ? state.fold : 1);
+    }
+
+    function onChange(callback) {
+        changeListeners.push(callback);
+    }
+
+    // The language chosen last time, or null (e.g. storage is blocked)
+    function savedLanguage() {
+        try {
+            return window.localStorage.getItem(LANGUAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Re-renders everything built from registry texts after a language switch;
+     * static texts are already translated by I18n.
+     */
+    function onLanguageChange(code) {
+        if (languageSelect) languageSelect.value = code;
+        try {
+            window.localStorage.setItem(LANGUAGE_KEY, code);
+        } catch (e) {
+            // The choice just isn't remembered
+        }
+        // Plugin shape buttons have no data-i18n key; their names come from the registry
+        document.querySelectorAll('.shape-options button:not([data-i18n])').forEach((button) => {
+            button.textContent = window.ShapeRegistry.get(button.dataset.shape).name;
+        });
+        updateDescription();
+        renderSolver(currentShape);
+        renderDimensions(currentShape);
+        renderNetLayouts(currentShape);
+        updateCalculations(currentShape);
+        // Redraws the dimension labels, but a running net challenge keeps the canvas
+        if (window.NetChallenge && window.NetChallenge.isActive()) return;
+        reloadCurrentShape();
+    }
+
     function initUI() {
         animateOpenBtn = document.getElementById('animate-open-btn');
         animateCloseBtn = document.getElementById('animate-close-btn');
@@ -227,11 +558,78 @@ const UIManager = (function () {
         descriptionPanel = document.getElementById('shape-description');
         dimensionsContainer = document.getElementById('dimensions-container');
         formulaDisplay = document.getElementById('formula-display');
+        stepsToggleBtn = document.getElementById('steps-toggle-btn');
+
+        // The saved language applies before anything is rendered
+        const language = savedLanguage();
+        if (language) window.I18n.setLocale(language);
+        languageSelect = document.getElementById('language-select');
+        if (languageSelect) {
+            languageSelect.innerHTML = window.I18n.locales()
+                .map(l => `<option value="${l.code}">${l.label}</option>`)
+                .join('');
+            languageSelect.value = window.I18n.getLocale();
+            languageSelect.addEventListener('change', (e) => window.I18n.setLocale(e.target.value));
+        }
+        window.I18n.onLocaleChange(onLanguageChange);
 
-        // Hide slider
         foldSlider = document.getElementById('fold-slider');
-        if (foldSlider && foldSlider.parentElement) {
-            foldSlider.parentElement.style.display = 'none';
+        if (foldSlider) {
+            foldSlider.value = currentFold;
+            foldSlider.addEventListener('input', (e) => {
+                stopFoldAnimation();
+                setFold(parseFloat(e.target.value));
+            });
+        }
+
+        unitSelect = document.getElementById('unit-select');
+        if (unitSelect) {
+            unitSelect.value = currentUnit;
+            unitSelect.addEventListener('change', (e) => setUnit(e.target.value));
+        }
+
+        solveBtn = document.getElementById('solve-btn');
+        solvePanel = document.getElementById('solve-panel');
+        solveUnknown = document.getElementById('solve-unknown');
+        solveQuantity = document.getElementById('solve-quantity');
+        solveTarget = document.getElementById('solve-target');
+        solveMessage = document.getElementById('solve-message');
+        if (solveBtn && solvePanel) {
+            solveBtn.addEventListener('click', () => {
+                solver = solver ? null : {};
+                renderSolver(currentShape);
+                renderDimensions(currentShape);
+            });
+            solveUnknown.addEventListener('change', (e) => {
+                solver.unknown = e.target.value;
+                renderDimensions(currentShape);
+                runSolver();
+            });
+            solveQuantity.addEventListener('change', (e) => {
+                solver.quantity = e.target.value;
+                renderSolver(currentShape);
+            });
+            solveTarget.addEventListener('input', (e) => {
+                solver.target = parseFloat(e.target.value);
+                runSolver();
+            });
+        }
+
+        dimensionsParamsBox = document.getElementById('dimensions-params');
+        dimensionsDerivedBox = document.getElementById('dimensions-derived');
+        [dimensionsParamsBox, dimensionsDerivedBox].forEach((box) => {
+            if (!box) return;
+            box.addEventListener('change', () => {
+                updateDimensionOptions();
+                reloadCurrentShape();
+            });
+        });
+        updateDimensionOptions();
+
+        netLayoutGroup = document.getElementById('net-layout-group');
+        netLayoutSelect = document.getElementById('net-layout-select');
+        if (netLayoutSelect) {
+            netLayoutSelect.addEventListener('change', (e) => selectNetLayout(e.target.value));
         }
 
         const shapeSelector = document.getElementById('shape-selector');
@@ -240,17 +638,49 @@ const UIManager = (function () {
                 button.addEventListener('click', () => selectShape(button.dataset.shape));
             });
         }
+        // Shapes from plugins, loaded before or after the app starts
+        window.ShapeRegistry.types().forEach(addShapeButton);
+        window.ShapeRegistry.onRegister(addShapeButton);
 
-        // Setup Buttons as Toggles
         if (animateOpenBtn) {
-            animateOpenBtn.textContent = 'Jaring-Jaring';
-            animateOpenBtn.onclick = () => setMode('net');
+            animateOpenBtn.onclick = () => animateFold(0);
         }
 
         if (animateCloseBtn) {
-            animateCloseBtn.textContent = 'Bentuk 3D';
-            animateCloseBtn.onclick = () => setMode('solid');
-            animateCloseBtn.classList.add('active'); // Default active
+            animateCloseBtn.onclick = () => animateFold(1);
+        }
+
+        if (stepsToggleBtn) {
+            stepsToggleBtn.addEventListener('click', () => setStepsVisible(!showSteps));
+        }
+
+        const exportSvgBtn = document.getElementById('export-svg-btn');
+        if (exportSvgBtn) {
+            exportSvgBtn.addEventListener('click', () => {
+                const drawing = currentNetDrawing();
+                if (drawing) window.ExportManager.downloadNetSvg(currentShape, drawing);
+            });
+        }
+
+        const exportPrintBtn = document.getElementById('export-print-btn');
+        if (exportPrintBtn) {
+            exportPrintBtn.addEventListener('click', () => {
+                const drawing = currentNetDrawing();
+                if (drawing) window.ExportManager.printNet(window.ShapeRegistry.get(currentShape).name, drawing);
+            });
+        }
+
+        const modelDownloadBtn = document.getElementById('model-download-btn');
+        if (modelDownloadBtn) {
+            modelDownloadBtn.addEventListener('click', () => {
+                const params = getParamsValues(currentShape);
+                if (window.ShapeRegistry.validate(currentShape, params)) return;
+                const asNet = document.getElementById('model-net');
+                window.ExportManager.downloadModel(currentShape, params, document.getElementById('model-format').value, {
+                    asNet: !!asNet && asNet.checked,
+                    netKey: netLayoutKeys[currentShape]
+                });
+            });
         }
 
         if (resetCameraBtn) {
@@ -261,12 +691,22 @@ const UIManager = (function () {
 
         updateDescription();
         renderDimensions(currentShape);
+        renderNetLayouts(currentShape);
         updateCalculations(currentShape);
+        // initScene drew the first shape before the dimension options were set
+        reloadCurrentShape();
     }
 
     return {
         initUI,
-        selectShape
+        getState,
+        applyState,
+        onChange,
+        unitScale,
+        formatMeasure,
+        selectShape,
+        showSolution,
+        reloadCurrentShape
     };
 })();
 
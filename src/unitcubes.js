@@ -0,0 +1,197 @@
+/**
+ * src/unitcubes.js
+ * Unit cubes: fills a cube or box with 1 cm × 1 cm × 1 cm cubes, layer by
+ * layer, and counts them, so volume reads as "how many unit cubes fit".
+ * Lengths that are not whole numbers end in a row of partial cubes. All cubes
+ * are instances of one mesh, so even 10 × 8 × 8 stays a single draw call.
+ */
+
+const UnitCubes = (function () {
+    const CUBE_COLOR = 0xf39c12;
+    const PARTIAL_COLOR = 0x27ae60;
+    const GAP = 0.08; // scene units between neighbouring cubes
+    const LAYER_DURATION = 800; // ms to lay one layer while playing
+
+    let active = false;
+    let cells = []; // { size: [x, y, z] } in fill order: layer, row, cube
+    let layerEnds = []; // cells.length after each layer
+    let cubes = null; // THREE.InstancedMesh
+    let shown = 0;
+    let playing = false;
+    let frame = null;
+    let panel, toggleBtn, layerSlider, playBtn, resetBtn, infoBox;
+
+    // Whole cubes along a length, then the partial one left over
+    function cellSizes(length) {
+        const whole = Math.floor(length + 1e-9);
+        const sizes = new Array(whole).fill(1);
+        if (length - whole > 1e-6) sizes.push(length - whole);
+        return sizes;
+    }
+
+    /**
+     * The solid, faded, with every unit cube as an instance (hidden until
+     * shown). Cubes are laid from the bottom up, row by row.
+     */
+    function build() {
+        setPlaying(false);
+        if (cubes) cubes.geometry.dispose();
+        const state = window.UIManager.getState();
+        const shape = window.ShapeRegistry.get(state.shape);
+        const [x, y, z] = shape.unitCubes(state.params);
+
+        cells = [];
+        layerEnds = [];
+        const matrix = new THREE.Matrix4();
+        const positions = [];
+        let py = 0;
+        cellSizes(y).forEach((sy) => {
+            let pz = -z / 2;
+            cellSizes(z).forEach((sz) => {
+                let px = -x / 2;
+                cellSizes(x).forEach((sx) => {
+                    cells.push({ size: [sx, sy, sz] });
+                    positions.push([px + sx / 2, py + sy / 2, pz + sz / 2]);
+                    px += sx;
+                });
+                pz += sz;
+            });
+            py += sy;
+            layerEnds.push(cells.length);
+        });
+
+        cubes = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial(), cells.length);
+        const full = new THREE.Color(CUBE_COLOR);
+        const partial = new THREE.Color(PARTIAL_COLOR);
+        cells.forEach((cell, i) => {
+            const [sx, sy, sz] = cell.size;
+            matrix.makeScale(Math.max(sx - GAP, GAP), Math.max(sy - GAP, GAP), Math.max(sz - GAP, GAP));
+            matrix.setPosition(...positions[i]);
+            cubes.setMatrixAt(i, matrix);
+            cubes.setColorAt(i, sx * sy * sz === 1 ? full : partial);
+        });
+
+        const solid = window.SceneManager.createMesh(shape.solid(state.params), shape.color);
+        solid.material.opacity = 0.15;
+        solid.material.depthWrite = false;
+        const group = new THREE.Group();
+        group.add(cubes, solid);
+        window.SceneManager.showObject(group);
+
+        layerSlider.max = layerEnds.length;
+        show(0);
+    }
+
+    /**
+     * Shows the first `count` cubes and counts them.
+     */
+    function show(count) {
+        shown = Math.min(cells.length, Math.max(0, Math.floor(count)));
+        cubes.count = shown;
+        window.SceneManager.requestRender();
+        const layers = layerEnds.filter(end => end <= shown).length;
+        layerSlider.value = layers;
+
+        let whole = 0;
+        let volume = 0;
+        cells.slice(0, shown).forEach(({ size }) => {
+            const v = size[0] * size[1] * size[2];
+            if (v === 1) whole++;
+            volume += v;
+        });
+        const parts = shown - whole;
+        const { t } = window.I18n;
+        infoBox.innerHTML =
+            `${t('cubes.layer', { n: layers, count: layerEnds.length })}<br>` +
+            `${t('cubes.whole', { count: whole })}${parts ? t('cubes.partial', { count: parts }) : ''}<br>` +
+            `${t('quantity.volume')} = ${window.UIManager.formatMeasure(volume, 3)}` +
+            (shown === cells.length ? `<br><strong>${t('common.full')}</strong>` : '');
+    }
+
+    function stopAnimation() {
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+    }
+
+    function setPlaying(value) {
+        playing = value;
+        if (playBtn) window.I18n.setText(playBtn, playing ? 'common.pause' : 'common.play');
+        stopAnimation();
+        if (!playing) return;
+        // One layer per LAYER_DURATION, a cube at a time
+        const perMs = (layerEnds[0] || 1) / LAYER_DURATION;
+        const from = shown === cells.length ? 0 : shown;
+        const start = performance.now();
+        const step = (now) => {
+            show(from + (now - start) * perMs);
+            if (shown === cells.length) {
+                setPlaying(false);
+                return;
+            }
+            frame = requestAnimationFrame(step);
+        };
+        frame = requestAnimationFrame(step);
+    }
+
+    function start() {
+        active = true;
+        panel.hidden = false;
+        window.I18n.setText(toggleBtn, 'cubes.close');
+        toggleBtn.classList.add('active');
+        build();
+    }
+
+    function stop() {
+        active = false;
+        setPlaying(false);
+        panel.hidden = true;
+        window.I18n.setText(toggleBtn, 'cubes.open');
+        toggleBtn.classList.remove('active');
+        if (cubes) cubes.geometry.dispose();
+        cubes = null;
+        window.UIManager.reloadCurrentShape();
+    }
+
+    // Only cuboids can be filled with unit cubes, and only as a closed solid
+    function onShapeChange() {
+        const state = window.UIManager.getState();
+        const fits = !!window.ShapeRegistry.get(state.shape).unitCubes;
+        toggleBtn.hidden = !fits;
+        if (!active) return;
+        if (!fits || state.mode !== 'solid' || window.ShapeRegistry.validate(state.shape, state.params)) {
+            stop();
+        } else {
+            build();
+        }
+    }
+
+    function initUnitCubes() {
+        panel = document.getElementById('unit-cubes-panel');
+        toggleBtn = document.getElementById('unit-cubes-btn');
+        layerSlider = document.getElementById('unit-cubes-layers');
+        playBtn = document.getElementById('unit-cubes-play-btn');
+        resetBtn = document.getElementById('unit-cubes-reset-btn');
+        infoBox = document.getElementById('unit-cubes-info');
+        if (!panel || !toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => (active ? stop() : start()));
+        playBtn.addEventListener('click', () => setPlaying(!playing));
+        resetBtn.addEventListener('click', () => {
+            setPlaying(false);
+            show(0);
+        });
+        layerSlider.addEventListener('input', (e) => {
+            setPlaying(false);
+            const layers = parseInt(e.target.value, 10);
+            show(layers ? layerEnds[layers - 1] : 0);
+        });
+        window.UIManager.onChange(onShapeChange);
+        onShapeChange();
+    }
+
+    return {
+        initUnitCubes
+    };
+})();
+
+window.UnitCubes = UnitCubes;
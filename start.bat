@@ -1,5 +1,6 @@
 @echo off
 echo Memulai MathSpace Mini Server...
+if not exist node_modules call npm install
 start http://localhost:3000
-python -m http.server 3000
+node server.js
 pause
@@ -0,0 +1,87 @@
+/**
+ * sw.js
+ * Service worker: caches the whole app (pages, scripts, styles, images and the
+ * libraries under /vendor/) so it opens without a network once visited.
+ * Cached files are shown first and refreshed from the server in the
+ * background, so changes appear on the next visit. The API (/api/) is never
+ * cached: results must reach the server.
+ * Bump CACHE_NAME to drop the old cache when this file list changes.
+ */
+
+const CACHE_NAME = 'mathspace-v3';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'dashboard.html',
+    'manifest.webmanifest',
+    'styles/base.css',
+    'assets/favicon.png',
+    'assets/logo.png',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'src/i18n.js',
+    'src/registry.js',
+    'plugins/lprism.js',
+    'src/math.js',
+    'src/shapes.js',
+    'src/classroom.js',
+    'src/challenge.js',
+    'src/quiz.js',
+    'src/export.js',
+    'src/crosssection.js',
+    'src/compare.js',
+    'src/pour.js',
+    'src/unitcubes.js',
+    'src/permalink.js',
+    'src/ui.js',
+    'src/main.js',
+    'src/dashboard.js',
+    'vendor/three/build/three.min.js',
+    'vendor/three/examples/js/controls/OrbitControls.js',
+    'vendor/mathjax/es5/tex-mml-chtml.js',
+    'vendor/poppins/latin-300.css',
+    'vendor/poppins/latin-400.css',
+    'vendor/poppins/latin-500.css',
+    'vendor/poppins/latin-600.css',
+    'vendor/poppins/latin-700.css'
+];
+
+self.addEventListener('install', (event) => {
+    // One missing file (e.g. vendor/ before npm install) must not stop the rest
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all(APP_FILES.map(file => cache.add(file).catch(() => null))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    // Fonts and MathJax parts loaded later are cached the first time they are fetched
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache => cache.match(event.request).then((cached) => {
+            const fresh = fetch(event.request)
+                .then((response) => {
+                    if (response.ok) cache.put(event.request, response.clone());
+                    return response;
+                })
+                .catch(() => cached);
+            if (cached) {
+                event.waitUntil(fresh);
+                return cached;
+            }
+            return fresh;
+        }))
+    );
+});
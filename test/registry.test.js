@@ -0,0 +1,109 @@
+/**
+ * test/registry.test.js
+ * Headless checks of the shape registry (run with `npm test`): known values,
+ * validation, and every shape's formulas against its own 3D solid and net.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The solids are built with the same three.js as the browser
+global.THREE = require('three');
+const R = require('../src/registry');
+
+// Round solids are drawn with flat segments, so they only come close
+const CURVED = ['cylinder', 'cone', 'sphere', 'hemisphere', 'coneFrustum'];
+
+function tolerance(type) {
+    return CURVED.includes(type) ? 0.01 : 1e-6;
+}
+
+function assertClose(actual, expected, relative, message) {
+    assert.ok(Math.abs(actual - expected) <= relative * Math.abs(expected),
+        `${message}: ${actual} is not within ${relative * 100}% of ${expected}`);
+}
+
+// Volume (divergence theorem) and area of a closed triangle mesh
+function meshMeasures(geometry) {
+    const position = (geometry.index ? geometry.toNonIndexed() : geometry).attributes.position;
+    const corner = i => new THREE.Vector3().fromBufferAttribute(position, i);
+    let volume = 0;
+    let area = 0;
+    for (let i = 0; i < position.count; i += 3) {
+        const [a, b, c] = [corner(i), corner(i + 1), corner(i + 2)];
+        volume += a.dot(b.clone().cross(c)) / 6;
+        area += b.clone().sub(a).cross(c.clone().sub(a)).length() / 2;
+    }
+    return { volume: Math.abs(volume), area };
+}
+
+function polygonArea(points) {
+    let sum = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        sum += p[0] * q[1] - q[0] * p[1];
+    });
+    return Math.abs(sum) / 2;
+}
+
+// The default values and one more set halfway to each maximum
+function sampleParams(type) {
+    const shape = R.get(type);
+    const defaults = R.defaultParams(type);
+    const halfway = {};
+    Object.entries(shape.params).forEach(([key, param]) => {
+        const value = (param.val + param.max) / 2;
+        halfway[key] = param.integer ? Math.round(value) : value;
+    });
+    return R.validate(type, halfway) ? [defaults] : [defaults, halfway];
+}
+
+test('known volumes and surface areas', () => {
+    assertClose(R.calculate('cube', { s: 3 }).volume, 27, 1e-9, 'cube volume');
+    assertClose(R.calculate('cube', { s: 3 }).surfaceArea, 54, 1e-9, 'cube area');
+    assertClose(R.calculate('box', { p: 6, l: 4, t: 3 }).volume, 72, 1e-9, 'box volume');
+    assertClose(R.calculate('box', { p: 6, l: 4, t: 3 }).surfaceArea, 108, 1e-9, 'box area');
+    assertClose(R.calculate('cylinder', { r: 1, t: 1 }).volume, Math.PI, 1e-9, 'cylinder volume');
+    assertClose(R.calculate('cylinder', { r: 1, t: 1 }).surfaceArea, 4 * Math.PI, 1e-9, 'cylinder area');
+    assertClose(R.calculate('cone', { r: 3, t: 4 }).surfaceArea, 24 * Math.PI, 1e-9, 'cone area');
+    assertClose(R.calculate('sphere', { r: 3 }).volume, 36 * Math.PI, 1e-9, 'sphere volume');
+});
+
+test('validate accepts defaults and rejects bad values', () => {
+    R.types().forEach((type) => {
+        assert.strictEqual(R.validate(type, R.defaultParams(type)), null, `${type} defaults`);
+        const [key, param] = Object.entries(R.get(type).params)[0];
+        const params = R.defaultParams(type);
+        params[key] = param.max + 1;
+        assert.ok(R.validate(type, params), `${type} above the range of ${key}`);
+        params[key] = NaN;
+        assert.ok(R.validate(type, params), `${type} ${key} not a number`);
+    });
+    assert.ok(R.validate('prismScalene', { a: 2, b: 3, c: 6, t_prisma: 5 }), 'triangle inequality');
+    assert.ok(R.validate('coneFrustum', { R: 2, r: 3, t: 4 }), 'frustum top wider than its base');
+});
+
+test('formulas match each 3D solid', () => {
+    R.types().forEach((type) => {
+        sampleParams(type).forEach((params) => {
+            const result = R.calculate(type, params);
+            const solid = meshMeasures(R.get(type).solid(params));
+            assertClose(solid.volume, result.volume, tolerance(type), `${type} volume`);
+            assertClose(solid.area, result.surfaceArea, tolerance(type), `${type} surface area`);
+        });
+    });
+});
+
+test('every net covers the surface area', () => {
+    R.types().forEach((type) => {
+        const nets = R.get(type).nets ? Object.keys(R.get(type).nets) : [undefined];
+        sampleParams(type).forEach((params) => {
+            const surfaceArea = R.calculate(type, params).surfaceArea;
+            nets.forEach((key) => {
+                const layout = R.netLayout(type, params, key);
+                const area = layout.faces.reduce((sum, face) => sum + polygonArea(face.points), 0);
+                assertClose(area, surfaceArea, tolerance(type), `${type} net ${key || ''}`.trim());
+            });
+        });
+    });
+});
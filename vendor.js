@@ -0,0 +1,49 @@
+/**
+ * vendor.js
+ * Browser libraries installed with npm (see package.json) and served by
+ * server.js and server-express.js under /vendor/, so the app loads without a
+ * CDN and works on a school network with no internet:
+ *   /vendor/three/     three.js r128 (build/three.min.js) and OrbitControls
+ *                      (examples/js/controls/OrbitControls.js)
+ *   /vendor/mathjax/   MathJax 3 (es5/tex-mml-chtml.js and its fonts)
+ *   /vendor/poppins/   the Poppins font (latin-400.css, ...)
+ */
+
+const path = require('path');
+
+const MODULES = path.join(__dirname, 'node_modules');
+const LIBRARIES = {
+    three: path.join(MODULES, 'three'),
+    mathjax: path.join(MODULES, 'mathjax'),
+    poppins: path.join(MODULES, '@fontsource', 'poppins')
+};
+
+/**
+ * The file on disk for a /vendor/<library>/... URL, or null for other URLs
+ * and for paths that would leave the library's folder.
+ */
+function resolve(url) {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    const match = /^\/vendor\/([^/]+)\/(.+)$/.exec(pathname);
+    if (!match || !LIBRARIES[match[1]]) return null;
+    const root = LIBRARIES[match[1]];
+    let file;
+    try {
+        file = path.resolve(root, decodeURIComponent(match[2]));
+    } catch (e) {
+        return null;
+    }
+    return file.startsWith(root + path.sep) ? file : null;
+}
+
+/**
+ * [{ url, dir }] for mounting each library as a static folder (Express).
+ */
+function routes() {
+    return Object.entries(LIBRARIES).map(([name, dir]) => ({ url: `/vendor/${name}`, dir }));
+}
+
+module.exports = {
+    resolve,
+    routes
+};